@@ -5,16 +5,25 @@ import cookieParser from "cookie-parser";
 import helmet from "helmet";
 import cors from "cors";
 import hpp from "hpp";
-import rateLimit from "express-rate-limit";
+import { createRateLimiter } from "./src/middleware/rateLimit.middleware.js";
+import { requestId } from "./src/middleware/requestId.middleware.js";
+import { requestLogger } from "./src/middleware/requestLogger.middleware.js";
+import { httpMetrics } from "./src/middleware/metrics.middleware.js";
+import { getReadiness } from "./src/services/health.service.js";
+import { logger } from "./src/services/logger.service.js";
 import compression from "compression";
-import morgan from "morgan";
 
 //importing database connection
 import { connectDB } from "./src/database/connection.js";
 import { config } from "./src/config/index.js";
+import keyStore from "./src/services/keys.service.js";
 
 //importing routes
 import authRoutes from "./src/routes/auth.routes.js";
+import adminRoutes from "./src/routes/admin.routes.js";
+import orgRoutes from "./src/routes/org.routes.js";
+import oauthRoutes from "./src/routes/oauth.routes.js";
+import docsRoutes from "./src/routes/docs.routes.js";
 
 //initializing express app
 const app = express();
@@ -25,11 +34,15 @@ app.set("trust proxy", 1);
 //connecting to the database
 connectDB();
 
-//request logging in production
-if (config.isProduction) {
-  app.use(morgan('combined'));
-} else {
-  app.use(morgan('dev'));
+//correlation ID for logs and audit events
+app.use(requestId);
+
+//structured request logging
+app.use(requestLogger);
+
+//prometheus request metrics, served on METRICS_PORT
+if (config.ENABLE_METRICS) {
+  app.use(httpMetrics);
 }
 
 //security middlewares
@@ -58,7 +71,7 @@ app.use(
 );
 
 //general protection
-const generalLimiter = rateLimit({
+const generalLimiter = createRateLimiter("general", {
   windowMs: config.RATE_LIMIT_WINDOW || 15 * 60 * 1000,
   max: config.RATE_LIMIT_MAX_REQUESTS || 100,
   message: { 
@@ -74,34 +87,50 @@ app.use(hpp());
 app.use(compression());
 
 //cors configuration
+const corsOptions = {
+  origin: function (origin, callback) {
+    // Allow requests with no origin (mobile apps, curl, postman)
+    if (!origin) return callback(null, true);
+    
+    const allowedOrigins = config.CLIENT_URL ? 
+      config.CLIENT_URL.split(',') : 
+      ["http://localhost:3000", "http://localhost:5173"];
+    
+    if (allowedOrigins.includes(origin)) {
+      callback(null, true);
+    } else {
+      callback(new Error('Not allowed by CORS'));
+    }
+  },
+  credentials: true,
+  methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
+  allowedHeaders: [
+    "Content-Type", 
+    "Authorization", 
+    "X-Requested-With",
+    "X-HTTP-Method-Override",
+    "Accept",
+    "Cache-Control",
+    "X-Request-Id"
+  ],
+  exposedHeaders: ["X-Total-Count", "X-Request-Id"],
+  maxAge: 86400, // 24 hours
+};
+
+//OIDC endpoints are called by other apps' frontends without cookies
+const PUBLIC_CORS_PATHS = ["/.well-known/", "/oauth/token", "/oauth/userinfo"];
+const publicCorsOptions = {
+  origin: true,
+  credentials: false,
+  methods: ["GET", "POST", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization"],
+  maxAge: 86400,
+};
+
 app.use(
-  cors({
-    origin: function (origin, callback) {
-      // Allow requests with no origin (mobile apps, curl, postman)
-      if (!origin) return callback(null, true);
-      
-      const allowedOrigins = config.CLIENT_URL ? 
-        config.CLIENT_URL.split(',') : 
-        ["http://localhost:3000", "http://localhost:5173"];
-      
-      if (allowedOrigins.includes(origin)) {
-        callback(null, true);
-      } else {
-        callback(new Error('Not allowed by CORS'));
-      }
-    },
-    credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: [
-      "Content-Type", 
-      "Authorization", 
-      "X-Requested-With",
-      "X-HTTP-Method-Override",
-      "Accept",
-      "Cache-Control"
-    ],
-    exposedHeaders: ["X-Total-Count"],
-    maxAge: 86400, // 24 hours
+  cors((req, callback) => {
+    const isPublic = PUBLIC_CORS_PATHS.some((path) => req.path.startsWith(path));
+    callback(null, isPublic ? publicCorsOptions : corsOptions);
   })
 );
 
@@ -125,6 +154,16 @@ app.use(cookieParser());
 
 //routes
 app.use("/api/auth", authRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/orgs", orgRoutes);
+
+//OpenAPI document and interactive docs
+app.use("/api/docs", docsRoutes);
+
+//OpenID Connect provider
+if (config.OIDC_ENABLED) {
+  app.use(oauthRoutes);
+}
 
 //root endpoint
 app.get("/", (req, res) => {
@@ -136,26 +175,46 @@ app.get("/", (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       auth: "/api/auth",
-      health: "/health"
+      admin: "/api/admin",
+      orgs: "/api/orgs",
+      health: "/health",
+      docs: "/api/docs",
+      jwks: "/.well-known/jwks.json"
     }
   });
 });
 
-//health check endpoint
-app.get("/health", (req, res) => {
+//liveness: the process is up and serving requests
+app.get("/health/live", (req, res) => {
   res.status(200).json({
     status: "ok",
-    message: "Server is running smoothly",
     timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: {
-      used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
-      total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB'
-    },
-    environment: config.NODE_ENV
+    uptime: process.uptime()
   });
 });
 
+//readiness: dependencies are reachable and the server is not shutting down
+const readinessCheck = async (req, res) => {
+  const { ready, shuttingDown, checks } = await getReadiness();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ok" : shuttingDown ? "shutting_down" : "unavailable",
+    timestamp: new Date().toISOString(),
+    checks: Object.fromEntries(
+      Object.entries(checks).map(([name, check]) => [name, check.status])
+    )
+  });
+};
+
+app.get("/health/ready", readinessCheck);
+app.get("/health", readinessCheck);
+
+//public signing keys for verifying access tokens
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.status(200).json(keyStore.getJwks());
+});
+
 //404 handler for undefined routes
 app.use("*", (req, res) => {
   res.status(404).json({
@@ -165,6 +224,8 @@ app.use("*", (req, res) => {
     method: req.method,
     availableEndpoints: {
       auth: "/api/auth",
+      admin: "/api/admin",
+      orgs: "/api/orgs",
       health: "/health",
       docs: "/api/docs"
     },
@@ -174,7 +235,7 @@ app.use("*", (req, res) => {
 
 //global error handler
 app.use((error, req, res, next) => {
-  console.error("Error:", error);
+  logger.error("Unhandled error", { error });
 
   // Don't leak sensitive information in production
   const isDevelopment = config.NODE_ENV === "DEVELOPMENT";
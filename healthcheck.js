@@ -3,7 +3,8 @@ import http from 'http';
 const options = {
   hostname: 'localhost',
   port: process.env.PORT || 3000,
-  path: '/health',
+  // Readiness: fails while MongoDB, Redis or signing keys are unavailable
+  path: '/health/ready',
   method: 'GET',
   timeout: 2000
 };
@@ -2,19 +2,37 @@ import http from "http";
 import app from "./app.js";
 import { config } from "./src/config/index.js";
 import { connectDB, disconnectDB } from "./src/database/connection.js";
+import keyStore from "./src/services/keys.service.js";
+import roleStore from "./src/services/role.service.js";
+import storage from "./src/services/storage.service.js";
+import { stopHashWorkers } from "./src/services/passwordHasher.service.js";
+import { logger } from "./src/services/logger.service.js";
+import { startMetricsServer } from "./src/services/metrics.service.js";
+import { isShuttingDown, markShuttingDown } from "./src/services/health.service.js";
 
 const PORT = config.PORT || 3000;
 const HOST = config.HOST || "0.0.0.0";
 
 let server;
+let metricsServer;
 
 async function startServer() {
   try {
-    console.log("🚀 Starting GateKeeper Authentication Server...");
+    logger.info("Starting GateKeeper Authentication Server");
     
     // Connect to database first
     await connectDB();
-    console.log("✅ Database connected successfully");
+    logger.info("Database connected successfully");
+
+    // Load (or create) JWT signing keys before issuing any tokens
+    await keyStore.initialize();
+    logger.info("JWT signing ready", { algorithm: config.JWT_ALGORITHM });
+
+    // Seed the default roles and load role definitions for permission checks
+    await roleStore.initialize();
+
+    // Shared state for rate limits, denylists and caches; falls back to memory
+    await storage.connect();
 
     // Start HTTP server
     server = http.createServer(app);
@@ -27,20 +45,25 @@ async function startServer() {
 
     // Start listening
     server.listen(PORT, HOST, () => {
-      console.log(`🌍 Server running at http://${HOST}:${PORT}`);
-      console.log(`📊 Environment: ${config.NODE_ENV}`);
-      console.log(`🔍 Health check: http://${HOST}:${PORT}/health`);
-      console.log(`📋 API Routes: http://${HOST}:${PORT}/api/auth`);
-      console.log(`💾 Memory usage: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)} MB`);
-      console.log(`⏱️  Startup time: ${process.uptime().toFixed(2)} seconds`);
-      console.log("✅ Server is ready to accept connections");
+      logger.info("Server is ready to accept connections", {
+        url: `http://${HOST}:${PORT}`,
+        environment: config.NODE_ENV,
+        healthCheck: `http://${HOST}:${PORT}/health/ready`,
+        memoryMB: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+        startupSeconds: Number(process.uptime().toFixed(2)),
+      });
     });
 
     // Handle server errors
     server.on("error", handleServerError);
 
+    // Prometheus scrape endpoint on its own port, kept off the public API
+    if (config.ENABLE_METRICS) {
+      metricsServer = startMetricsServer(config.METRICS_PORT, HOST);
+    }
+
   } catch (error) {
-    console.error("❌ Failed to start server:", error.message);
+    logger.error("Failed to start server", { error });
     process.exit(1);
   }
 }
@@ -54,47 +77,61 @@ function handleServerError(error) {
 
   switch (error.code) {
     case "EACCES":
-      console.error(`❌ ${bind} requires elevated privileges`);
+      logger.error(`${bind} requires elevated privileges`);
       process.exit(1);
       break;
     case "EADDRINUSE":
-      console.error(`❌ ${bind} is already in use`);
-      console.log(`💡 Try: lsof -ti:${PORT} | xargs kill -9`);
+      logger.error(`${bind} is already in use`);
       process.exit(1);
       break;
     default:
-      console.error(`❌ Server error:`, error);
+      logger.error("Server error", { error });
       throw error;
   }
 }
 
 // Graceful shutdown
 async function gracefulShutdown(signal) {
-  console.log(`\n📨 Received ${signal}. Starting graceful shutdown...`);
+  if (isShuttingDown()) return;
+  markShuttingDown();
+  logger.info("Starting graceful shutdown", { signal });
 
   if (server) {
+    // Force close server after timeout
+    setTimeout(() => {
+      logger.error("Could not close connections in time, forcefully shutting down");
+      process.exit(1);
+    }, config.SHUTDOWN_TIMEOUT || 30000);
+
+    // Readiness now fails; keep serving until load balancers stop routing here.
+    // Crashes skip the wait
+    if (signal === "SIGTERM" || signal === "SIGINT") {
+      await new Promise((resolve) => setTimeout(resolve, config.SHUTDOWN_DRAIN_DELAY));
+    }
+
+    if (metricsServer) {
+      metricsServer.close();
+    }
+
     // Stop accepting new connections
     server.close(async () => {
-      console.log("🔄 HTTP server closed");
+      logger.info("HTTP server closed");
       
       try {
         // Close database connections
         await disconnectDB();
-        console.log("📦 Database disconnected");
+        logger.info("Database disconnected");
+
+        await storage.disconnect();
+        await stopHashWorkers();
         
-        console.log("✅ Graceful shutdown completed");
+        logger.info("Graceful shutdown completed");
         process.exit(0);
       } catch (error) {
-        console.error("❌ Error during shutdown:", error);
+        logger.error("Error during shutdown", { error });
         process.exit(1);
       }
     });
-
-    // Force close server after timeout
-    setTimeout(() => {
-      console.error("❌ Could not close connections in time, forcefully shutting down");
-      process.exit(1);
-    }, config.SHUTDOWN_TIMEOUT || 30000);
   } else {
     process.exit(0);
   }
@@ -106,13 +143,13 @@ process.on("SIGINT", () => gracefulShutdown("SIGINT"));
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (error) => {
-  console.error("❌ Uncaught Exception:", error);
+  logger.error("Uncaught exception", { error });
   gracefulShutdown("uncaughtException");
 });
 
 // Handle unhandled rejections
-process.on("unhandledRejection", (reason, promise) => {
-  console.error("❌ Unhandled Rejection at:", promise, "reason:", reason);
+process.on("unhandledRejection", (reason) => {
+  logger.error("Unhandled rejection", { reason });
   gracefulShutdown("unhandledRejection");
 });
 
@@ -123,7 +160,7 @@ if (config.isProduction) {
     const memUsageMB = Math.round(memUsage.heapUsed / 1024 / 1024);
     
     if (memUsageMB > (config.MEMORY_THRESHOLD || 500)) {
-      console.warn(`⚠️  High memory usage: ${memUsageMB} MB`);
+      logger.warn("High memory usage", { memoryMB: memUsageMB });
     }
   }, config.HEALTH_CHECK_INTERVAL || 60000);
 }
@@ -0,0 +1,39 @@
+// Well-known disposable (throwaway) email providers, refused at registration
+// when REGISTRATION_BLOCK_DISPOSABLE is on. Subdomains match too
+export const DISPOSABLE_EMAIL_DOMAINS = [
+  "0-mail.com", "10minutemail.co.uk", "10minutemail.com", "10minutemail.net",
+  "20minutemail.com", "33mail.com", "anonbox.net", "anonymbox.com", "armyspy.com",
+  "binkmail.com", "bobmail.info", "bugmenot.com", "burnermail.io", "byom.de", "cuvox.de",
+  "dayrep.com", "deadaddress.com", "discard.email", "discardmail.com", "discardmail.de",
+  "dispostable.com", "dodgit.com", "dropmail.me", "e4ward.com", "einrot.com",
+  "emailondeck.com", "emailsensei.com", "emailtemporanea.com", "emailtemporanea.net",
+  "emailtemporario.com.br", "emailwarden.com", "fakeinbox.com", "fakemail.net",
+  "fakemailgenerator.com", "filzmail.com", "fleckens.hu", "getairmail.com",
+  "getnada.com", "guerrillamail.biz", "guerrillamail.com", "guerrillamail.de",
+  "guerrillamail.info", "guerrillamail.net", "guerrillamail.org",
+  "guerrillamailblock.com", "gustr.com", "harakirimail.com", "hmamail.com",
+  "inboxbear.com", "inboxkitten.com", "incognitomail.com", "incognitomail.org",
+  "jetable.com", "jetable.net", "jetable.org", "jourrapide.com", "kasmail.com",
+  "killmail.com", "klzlk.com", "koszmail.pl", "lroid.com", "mail-temporaire.fr",
+  "mail.tm", "mailcatch.com", "maildrop.cc", "maildu.de", "maileater.com",
+  "mailexpire.com", "mailforspam.com", "mailfreeonline.com", "mailinator.com",
+  "mailinator.net", "mailinator2.com", "mailmetrash.com", "mailmoat.com",
+  "mailnesia.com", "mailnull.com", "mailsac.com", "mailslurp.com", "mailtemp.info",
+  "mailtothis.com", "meltmail.com", "mintemail.com", "moakt.com", "mohmal.com",
+  "mvrht.com", "mytemp.email", "mytrashmail.com", "nada.email", "no-spam.ws",
+  "nomail.xl.cx", "nospam.ze.tc", "nospamfor.us", "nowmymail.com", "objectmail.com",
+  "onewaymail.com", "pookmail.com", "proxymail.eu", "rcpt.at", "rhyta.com", "rmqkr.net",
+  "safetymail.info", "sharklasers.com", "shieldemail.com", "smellfear.com",
+  "sofimail.com", "spam4.me", "spamavert.com", "spambox.us", "spamfree24.org",
+  "spamgourmet.com", "spamherelots.com", "spamhole.com", "spaml.com", "spammotel.com",
+  "spamspot.com", "spamthis.co.uk", "superrito.com", "teleworm.us", "temp-mail.io",
+  "temp-mail.org", "tempail.com", "tempemail.co", "tempemail.net", "tempinbox.com",
+  "tempmail.dev", "tempmail.net", "tempmail.plus", "tempmailaddress.com",
+  "tempmailo.com", "temporaryemail.net", "temporaryinbox.com", "tempr.email",
+  "tempsky.com", "thankyou2010.com", "throwam.com", "throwawayemailaddress.com",
+  "throwawaymail.com", "tmail.ws", "tmpmail.net", "tmpmail.org", "trash-mail.com",
+  "trash2009.com", "trashmail.at", "trashmail.com", "trashmail.de", "trashmail.me",
+  "trashmail.net", "trashmail.ws", "trashymail.com", "trbvm.com", "tyldd.com",
+  "wegwerfmail.de", "wegwerfmail.net", "wegwerfmail.org", "yopmail.com", "yopmail.fr",
+  "yopmail.net", "zetmail.com", "zoemail.org",
+];
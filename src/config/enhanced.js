@@ -2,6 +2,9 @@ import dotenv from "dotenv";
 dotenv.config();
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
+import os from "os";
+import { logger, redact, LOG_LEVELS } from "../services/logger.service.js";
 
 //enviorment detection
 const NODE_ENV = process.env.NODE_ENV || "DEVELOPMENT";
@@ -22,6 +25,14 @@ function parseInteger(value, defaultValue = 0) {
   const parsed = parseInt(value, 10);
   return isNaN(parsed) ? defaultValue : parsed;
 }
+// Parses "15m", "7d", "3600s" or plain milliseconds into milliseconds
+function parseDuration(value, defaultValue = 0) {
+  if (typeof value === "number") return value;
+  const match = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(value || "").trim());
+  if (!match) return defaultValue;
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return parseInt(match[1], 10) * units[match[2] || "ms"];
+}
 function parseArray(value, defaultValue = []) {
   if (Array.isArray(value)) return value;
   if (typeof value === "string") {
@@ -53,18 +64,122 @@ function validateRequiredEnvVars() {
         `Missing required environment variables: ${missing.join(", ")}`
       );
     } else {
-      console.warn(
-        `Warning: Missing required environment variables: ${missing.join(", ")}`
-      );
-      console.warn(
-        "Using default values for missing variables in development mode."
-      );
+      logger.warn("Missing required environment variables; using defaults", {
+        missing,
+      });
     }
   }
 }
 
 function validateConfiguration(config) {
   const errors = [];
+  if (!["allow", "block", "restrict"].includes(config.UNVERIFIED_LOGIN_MODE)) {
+    errors.push("UNVERIFIED_LOGIN_MODE must be one of: allow, block, restrict");
+  }
+
+  if (!["HS256", "RS256", "ES256"].includes(config.JWT_ALGORITHM)) {
+    errors.push("JWT_ALGORITHM must be one of: HS256, RS256, ES256");
+  }
+
+  if (!["file", "mongo"].includes(config.JWT_KEY_STORE)) {
+    errors.push("JWT_KEY_STORE must be one of: file, mongo");
+  }
+
+  if (config.OIDC_ENABLED && config.JWT_ALGORITHM.startsWith("HS")) {
+    errors.push("OIDC_ENABLED requires JWT_ALGORITHM RS256 or ES256");
+  }
+
+  if (!["evict_oldest", "reject"].includes(config.SESSION_LIMIT_POLICY)) {
+    errors.push("SESSION_LIMIT_POLICY must be one of: evict_oldest, reject");
+  }
+
+  if (config.MAX_SESSIONS_PER_USER < 1) {
+    errors.push("MAX_SESSIONS_PER_USER must be at least 1");
+  }
+
+  if (config.LOCKOUT_MAX_ATTEMPTS < 1 || config.LOCKOUT_IP_MAX_FAILURES < 1) {
+    errors.push("LOCKOUT_MAX_ATTEMPTS and LOCKOUT_IP_MAX_FAILURES must be at least 1");
+  }
+
+  if (config.LOCKOUT_MAX_DURATION < config.LOCKOUT_DURATION) {
+    errors.push("LOCKOUT_MAX_DURATION must not be shorter than LOCKOUT_DURATION");
+  }
+
+  if (!LOG_LEVELS.includes(config.LOG_LEVEL)) {
+    errors.push(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(", ")}`);
+  }
+
+  if (!["json", "pretty"].includes(config.LOG_FORMAT)) {
+    errors.push("LOG_FORMAT must be one of: json, pretty");
+  }
+
+  if (!["argon2id", "scrypt", "bcrypt"].includes(config.PASSWORD_HASH_ALGORITHM)) {
+    errors.push("PASSWORD_HASH_ALGORITHM must be one of: argon2id, scrypt, bcrypt");
+  }
+
+  if (config.BCRYPT_ROUNDS < 4 || config.BCRYPT_ROUNDS > 31) {
+    errors.push("BCRYPT_ROUNDS must be between 4 and 31");
+  }
+
+  if (config.ARGON2_MEMORY_COST < 8 * config.ARGON2_PARALLELISM || config.ARGON2_TIME_COST < 1) {
+    errors.push("ARGON2_MEMORY_COST must be at least 8 KiB per lane and ARGON2_TIME_COST at least 1");
+  }
+
+  if (config.SCRYPT_COST < 1 || config.SCRYPT_COST > 24) {
+    errors.push("SCRYPT_COST must be between 1 and 24");
+  }
+
+  if (config.PASSWORD_HASH_WORKERS < 1) {
+    errors.push("PASSWORD_HASH_WORKERS must be at least 1");
+  }
+
+  if (config.PASSWORD_MIN_LENGTH < 1 || config.PASSWORD_MAX_LENGTH < config.PASSWORD_MIN_LENGTH) {
+    errors.push("PASSWORD_MIN_LENGTH must be at least 1 and not exceed PASSWORD_MAX_LENGTH");
+  }
+
+  const unknownClasses = config.PASSWORD_REQUIRED_CLASSES.filter(
+    (name) => !["lower", "upper", "digit", "symbol"].includes(name)
+  );
+  if (unknownClasses.length > 0) {
+    errors.push(`PASSWORD_REQUIRED_CLASSES has unknown classes: ${unknownClasses.join(", ")}`);
+  }
+
+  if (config.PASSWORD_MIN_STRENGTH < 0 || config.PASSWORD_MIN_STRENGTH > 4) {
+    errors.push("PASSWORD_MIN_STRENGTH must be between 0 and 4");
+  }
+
+  if (config.PASSWORD_HISTORY_SIZE < 0) {
+    errors.push("PASSWORD_HISTORY_SIZE must not be negative");
+  }
+
+  if (config.PASSWORD_BREACH_DIR && !fs.existsSync(config.PASSWORD_BREACH_DIR)) {
+    errors.push(`PASSWORD_BREACH_DIR does not exist: ${config.PASSWORD_BREACH_DIR}`);
+  }
+
+  if (!["open", "closed", "invite", "domain"].includes(config.REGISTRATION_MODE)) {
+    errors.push("REGISTRATION_MODE must be one of: open, closed, invite, domain");
+  }
+
+  if (config.REGISTRATION_MODE === "domain" && config.REGISTRATION_ALLOWED_DOMAINS.length === 0) {
+    errors.push("REGISTRATION_MODE=domain requires REGISTRATION_ALLOWED_DOMAINS");
+  }
+
+  if (config.API_KEY_DEFAULT_LIFETIME > config.API_KEY_MAX_LIFETIME) {
+    errors.push("API_KEY_DEFAULT_LIFETIME must not exceed API_KEY_MAX_LIFETIME");
+  }
+
+  if (config.API_KEY_MAX_PER_USER < 1) {
+    errors.push("API_KEY_MAX_PER_USER must be at least 1");
+  }
+
+  if (config.SHUTDOWN_DRAIN_DELAY >= config.SHUTDOWN_TIMEOUT) {
+    errors.push("SHUTDOWN_DRAIN_DELAY must be shorter than SHUTDOWN_TIMEOUT");
+  }
+
+  if (config.ENABLE_REDIS && !config.REDIS_URL) {
+    errors.push("ENABLE_REDIS requires REDIS_URL");
+  }
+
   if (isProduction) {
     if (!config.JWT_SECRET || config.JWT_SECRET.length < 32) {
       errors.push("JWT_SECRET must be at least 32 characters in production");
@@ -86,9 +201,6 @@ function validateConfiguration(config) {
   }
 }
 
-//run validation
-validateRequiredEnvVars();
-
 const enhancedConfig = {
   NODE_ENV,
   isDevelopment,
@@ -133,9 +245,60 @@ const enhancedConfig = {
   JWT_ALGORITHM: process.env.JWT_ALGORITHM || "HS256",
   JWT_ISSUER: process.env.JWT_ISSUER || "versenest-api",
   JWT_AUDIENCE: process.env.JWT_AUDIENCE || "versenest-client",
+  // Asymmetric (RS256/ES256) signing keys: "file" or "mongo"
+  JWT_KEY_STORE: process.env.JWT_KEY_STORE || "file",
+  JWT_KEYS_DIR: process.env.JWT_KEYS_DIR || path.join(process.cwd(), "keys"),
+  JWT_KEY_ROTATION_INTERVAL: parseDuration(
+    process.env.JWT_KEY_ROTATION_INTERVAL,
+    30 * 24 * 60 * 60 * 1000
+  ), // 30 days, 0 disables rotation
+
+  //OpenID Connect provider configuration
+  OIDC_ENABLED: parseBoolean(process.env.OIDC_ENABLED, false),
+  OIDC_ISSUER:
+    process.env.OIDC_ISSUER ||
+    `http://localhost:${parseInteger(process.env.PORT, 3000)}`,
+  // Where /oauth/authorize sends users without a session (?return_to=...)
+  OIDC_LOGIN_URL: process.env.OIDC_LOGIN_URL,
+  OIDC_CODE_EXPIRES: parseDuration(process.env.OIDC_CODE_EXPIRES, 60 * 1000), // 1 minute
+  OIDC_ID_TOKEN_EXPIRES_IN: process.env.OIDC_ID_TOKEN_EXPIRES_IN || "1h",
+
+  //multi-factor authentication configuration
+  MFA_ISSUER: process.env.MFA_ISSUER || process.env.APP_NAME || "GateKeeper API",
+  // Encrypts TOTP secrets at rest
+  MFA_ENCRYPTION_KEY:
+    process.env.MFA_ENCRYPTION_KEY ||
+    process.env.SESSION_SECRET ||
+    "mfa-encryption-key-change-in-production",
+  // Signs the short-lived challenge token between password and MFA steps
+  MFA_CHALLENGE_SECRET:
+    process.env.MFA_CHALLENGE_SECRET ||
+    crypto
+      .createHmac("sha256", process.env.JWT_SECRET || "dev-secret-change-in-production-2024")
+      .update("mfa-challenge")
+      .digest("hex"),
+  MFA_CHALLENGE_EXPIRES_IN: process.env.MFA_CHALLENGE_EXPIRES_IN || "5m",
 
   //Secuirity Configuration
+  // Algorithm for new password hashes: argon2id, scrypt or bcrypt. Hashes made
+  // with another algorithm or other parameters still verify and are upgraded
+  // at the next login
+  PASSWORD_HASH_ALGORITHM: process.env.PASSWORD_HASH_ALGORITHM || "argon2id",
+  // argon2id memory (KiB), iterations and lanes; defaults follow OWASP
+  ARGON2_MEMORY_COST: parseInteger(process.env.ARGON2_MEMORY_COST, 19456),
+  ARGON2_TIME_COST: parseInteger(process.env.ARGON2_TIME_COST, 2),
+  ARGON2_PARALLELISM: parseInteger(process.env.ARGON2_PARALLELISM, 1),
+  // scrypt cost as log2(N), block size (r) and parallelization (p)
+  SCRYPT_COST: parseInteger(process.env.SCRYPT_COST, 17),
+  SCRYPT_BLOCK_SIZE: parseInteger(process.env.SCRYPT_BLOCK_SIZE, 8),
+  SCRYPT_PARALLELIZATION: parseInteger(process.env.SCRYPT_PARALLELIZATION, 1),
   BCRYPT_ROUNDS: parseInteger(process.env.BCRYPT_ROUNDS, 12),
+  // Threads that hash and verify passwords, leaving a core for the event loop
+  PASSWORD_HASH_WORKERS: parseInteger(
+    process.env.PASSWORD_HASH_WORKERS,
+    Math.max(1, Math.min(4, os.cpus().length - 1))
+  ),
+  PASSWORD_REHASH_ON_LOGIN: parseBoolean(process.env.PASSWORD_REHASH_ON_LOGIN, true),
   SESSION_SECRET:
     process.env.SESSION_SECRET || "session-secret-change-in-production",
   COOKIE_SECRET: process.env.COOKIE_SECRET,
@@ -154,9 +317,142 @@ const enhancedConfig = {
     100
   ),
   AUTH_RATE_LIMIT_MAX: parseInteger(process.env.AUTH_RATE_LIMIT_MAX, 5),
+  AUTH_RATE_LIMIT_WINDOW: parseDuration(
+    process.env.AUTH_RATE_LIMIT_WINDOW,
+    15 * 60 * 1000
+  ), // 15 minutes
+
+  //account lockout configuration
+  // Failed logins before an account is locked
+  LOCKOUT_MAX_ATTEMPTS: parseInteger(process.env.LOCKOUT_MAX_ATTEMPTS, 5),
+  // First lock duration; doubles with each consecutive lock up to the max
+  LOCKOUT_DURATION: parseDuration(process.env.LOCKOUT_DURATION, 15 * 60 * 1000),
+  LOCKOUT_MAX_DURATION: parseDuration(
+    process.env.LOCKOUT_MAX_DURATION,
+    24 * 60 * 60 * 1000
+  ),
+  // Wait enforced after a failed login, doubling with each further failure
+  LOCKOUT_BACKOFF_BASE: parseDuration(process.env.LOCKOUT_BACKOFF_BASE, 1000),
+  // Failed logins from one IP, across all accounts, before it is blocked
+  LOCKOUT_IP_MAX_FAILURES: parseInteger(process.env.LOCKOUT_IP_MAX_FAILURES, 20),
+  LOCKOUT_IP_WINDOW: parseDuration(process.env.LOCKOUT_IP_WINDOW, 15 * 60 * 1000),
+  ACCOUNT_UNLOCK_URL: process.env.ACCOUNT_UNLOCK_URL,
+  ACCOUNT_UNLOCK_EXPIRES: parseDuration(
+    process.env.ACCOUNT_UNLOCK_EXPIRES,
+    60 * 60 * 1000
+  ), // 1 hour
+
+  //organization configuration
+  ORG_INVITATION_URL: process.env.ORG_INVITATION_URL,
+  ORG_INVITATION_EXPIRES: parseDuration(
+    process.env.ORG_INVITATION_EXPIRES,
+    7 * 24 * 60 * 60 * 1000
+  ), // 7 days
+
+  //session configuration
+  MAX_SESSIONS_PER_USER: parseInteger(process.env.MAX_SESSIONS_PER_USER, 5),
+  // evict_oldest: drop the least recently used session
+  // reject: refuse new logins until a session is revoked
+  SESSION_LIMIT_POLICY: process.env.SESSION_LIMIT_POLICY || "evict_oldest",
 
   //client configuration
   CLIENT_URL: process.env.CLIENT_URL || "http://localhost:3000",
+  APP_URL:
+    process.env.APP_URL ||
+    parseArray(process.env.CLIENT_URL, ["http://localhost:3000"])[0],
+
+  //mail configuration
+  MAIL_TRANSPORT:
+    process.env.MAIL_TRANSPORT || (isProduction ? "smtp" : "console"),
+  MAIL_FROM: process.env.MAIL_FROM || "GateKeeper <no-reply@localhost>",
+  MAIL_DROP_DIR:
+    process.env.MAIL_DROP_DIR || path.join(process.cwd(), "tmp", "mail"),
+  SMTP_HOST: process.env.SMTP_HOST,
+  SMTP_PORT: parseInteger(process.env.SMTP_PORT, 587),
+  SMTP_SECURE: parseBoolean(process.env.SMTP_SECURE, false),
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASS: process.env.SMTP_PASS,
+
+  //password reset configuration
+  PASSWORD_RESET_URL: process.env.PASSWORD_RESET_URL,
+  PASSWORD_RESET_EXPIRES: parseDuration(
+    process.env.PASSWORD_RESET_EXPIRES,
+    10 * 60 * 1000
+  ), // 10 minutes
+
+  //password policy configuration
+  PASSWORD_MIN_LENGTH: parseInteger(process.env.PASSWORD_MIN_LENGTH, 8),
+  PASSWORD_MAX_LENGTH: parseInteger(process.env.PASSWORD_MAX_LENGTH, 128),
+  // Character classes every password must contain: lower, upper, digit, symbol
+  PASSWORD_REQUIRED_CLASSES: parseArray(process.env.PASSWORD_REQUIRED_CLASSES, [
+    "lower",
+    "upper",
+    "digit",
+    "symbol",
+  ]).map((name) => name.toLowerCase()),
+  // Minimum zxcvbn score, 0 (anything) to 4 (very hard to guess)
+  PASSWORD_MIN_STRENGTH: parseInteger(process.env.PASSWORD_MIN_STRENGTH, 2),
+  // Passwords older than this must be reset before signing in; 0 never expires
+  PASSWORD_MAX_AGE: parseDuration(process.env.PASSWORD_MAX_AGE, 0),
+  // Previous passwords that can't be reused; 0 allows reuse
+  PASSWORD_HISTORY_SIZE: parseInteger(process.env.PASSWORD_HISTORY_SIZE, 5),
+  // Directory of HIBP range files (00000.txt ... FFFFF.txt); unset skips the check
+  PASSWORD_BREACH_DIR: process.env.PASSWORD_BREACH_DIR,
+  // Times a password must appear in the breach data to be refused
+  PASSWORD_BREACH_MIN_COUNT: parseInteger(process.env.PASSWORD_BREACH_MIN_COUNT, 1),
+
+  //email verification configuration
+  EMAIL_VERIFICATION_URL: process.env.EMAIL_VERIFICATION_URL,
+  EMAIL_VERIFICATION_EXPIRES: parseDuration(
+    process.env.EMAIL_VERIFICATION_EXPIRES,
+    24 * 60 * 60 * 1000
+  ), // 24 hours
+  // allow: unverified users log in normally
+  // block: unverified users are refused at login
+  // restrict: unverified users get a restricted token that authorize() rejects
+  UNVERIFIED_LOGIN_MODE: process.env.UNVERIFIED_LOGIN_MODE || "allow",
+
+  //registration configuration
+  // open: anyone can register
+  // closed: nobody can register
+  // invite: registration requires an admin-issued invite code
+  // domain: only emails on REGISTRATION_ALLOWED_DOMAINS can register
+  REGISTRATION_MODE: process.env.REGISTRATION_MODE || "open",
+  REGISTRATION_ALLOWED_DOMAINS: parseArray(process.env.REGISTRATION_ALLOWED_DOMAINS).map(
+    (domain) => domain.toLowerCase()
+  ),
+  // Skip email verification for allowed domains (domain mode only)
+  REGISTRATION_DOMAIN_AUTO_VERIFY: parseBoolean(
+    process.env.REGISTRATION_DOMAIN_AUTO_VERIFY,
+    false
+  ),
+  // Refuse addresses on the bundled disposable email domain list
+  REGISTRATION_BLOCK_DISPOSABLE: parseBoolean(
+    process.env.REGISTRATION_BLOCK_DISPOSABLE,
+    true
+  ),
+  INVITE_CODE_DEFAULT_LIFETIME: parseDuration(
+    process.env.INVITE_CODE_DEFAULT_LIFETIME,
+    7 * 24 * 60 * 60 * 1000
+  ), // 7 days
+
+  //audit log configuration
+  // How long audit events are kept before MongoDB expires them
+  AUDIT_LOG_RETENTION: parseDuration(
+    process.env.AUDIT_LOG_RETENTION,
+    365 * 24 * 60 * 60 * 1000
+  ), // 1 year
+
+  //api key configuration
+  API_KEY_DEFAULT_LIFETIME: parseDuration(
+    process.env.API_KEY_DEFAULT_LIFETIME,
+    90 * 24 * 60 * 60 * 1000
+  ), // 90 days
+  API_KEY_MAX_LIFETIME: parseDuration(
+    process.env.API_KEY_MAX_LIFETIME,
+    365 * 24 * 60 * 60 * 1000
+  ), // 1 year
+  API_KEY_MAX_PER_USER: parseInteger(process.env.API_KEY_MAX_PER_USER, 20),
 
   //redis configuration
   REDIS_URL: process.env.REDIS_URL,
@@ -164,12 +460,20 @@ const enhancedConfig = {
   REDIS_DB: parseInteger(process.env.REDIS_DB, 0),
   REDIS_KEY_PREFIX: process.env.REDIS_KEY_PREFIX || "versenest:",
   ENABLE_REDIS: parseBoolean(process.env.ENABLE_REDIS, !!process.env.REDIS_URL),
+  // How long authenticated user lookups are cached in Redis (0 disables)
+  USER_CACHE_TTL: parseDuration(process.env.USER_CACHE_TTL, 60 * 1000),
 
   //server timeout and limits
   SERVER_TIMEOUT: parseInteger(process.env.SERVER_TIMEOUT, 120000),
   KEEP_ALIVE_TIMEOUT: parseInteger(process.env.KEEP_ALIVE_TIMEOUT, 65000),
   HEADERS_TIMEOUT: parseInteger(process.env.HEADERS_TIMEOUT, 66000),
   SHUTDOWN_TIMEOUT: parseInteger(process.env.SHUTDOWN_TIMEOUT, 30000),
+  // Time between failing readiness and closing the server, so load balancers
+  // stop routing here first
+  SHUTDOWN_DRAIN_DELAY: parseDuration(
+    process.env.SHUTDOWN_DRAIN_DELAY,
+    isProduction ? 10000 : 0
+  ),
   MAX_LISTENERS: parseInteger(process.env.MAX_LISTENERS, 20),
   MAX_HEADERS_COUNT: parseInteger(process.env.MAX_HEADERS_COUNT, 2000),
   MAX_REQUESTS_PER_SOCKET: parseInteger(
@@ -177,37 +481,52 @@ const enhancedConfig = {
     1000
   ),
   HEALTH_CHECK_INTERVAL: parseInteger(process.env.HEALTH_CHECK_INTERVAL, 60000),
+  // Longest a single readiness check (Mongo, Redis) may take
+  HEALTH_CHECK_TIMEOUT: parseDuration(process.env.HEALTH_CHECK_TIMEOUT, 2000),
   MEMORY_THRESHOLD: parseInteger(process.env.MEMORY_THRESHOLD, 500), // MB
   ENABLE_METRICS: parseBoolean(process.env.ENABLE_METRICS, isProduction),
   METRICS_PORT: parseInteger(process.env.METRICS_PORT, 9090),
+
+  //logging configuration
+  LOG_LEVEL:
+    process.env.LOG_LEVEL ||
+    (isProduction ? "info" : isTest ? "warn" : "debug"),
+  // json: one JSON object per line; pretty: human-readable
+  LOG_FORMAT: process.env.LOG_FORMAT || (isProduction ? "json" : "pretty"),
 };
 
+logger.configure({
+  level: enhancedConfig.LOG_LEVEL,
+  format: enhancedConfig.LOG_FORMAT,
+});
+
+//run validation
+validateRequiredEnvVars();
 validateConfiguration(enhancedConfig);
 
-function sanitizeConfigForLogging(config) {
-  const sensitiveKeys = [
-    "JWT_SECRET",
-    "JWT_REFRESH_SECRET",
-    "SESSION_SECRET",
-    "COOKIE_SECRET",
-  ];
-
-  const sanitized = { ...config };
-
-  sensitiveKeys.forEach((key) => {
-    if (sanitized[key]) {
-      sanitized[key] = "[REDACTED]";
-    }
-  });
+// Config keys that must never be logged
+const SENSITIVE_CONFIG_KEYS = [
+  "JWT_SECRET",
+  "JWT_REFRESH_SECRET",
+  "SESSION_SECRET",
+  "COOKIE_SECRET",
+  "SMTP_PASS",
+  "MFA_ENCRYPTION_KEY",
+  "MFA_CHALLENGE_SECRET",
+  "REDIS_PASSWORD",
+];
 
-  return sanitized;
+// Secrets replaced and credentials in connection strings masked
+function sanitizeConfigForLogging(config) {
+  return redact(config, SENSITIVE_CONFIG_KEYS);
 }
 
-console.log("📋 Enhanced configuration loaded:", {
+logger.info("Configuration loaded", {
   environment: enhancedConfig.NODE_ENV,
   port: enhancedConfig.PORT,
-  database: enhancedConfig.MONGODB_URI ? "✅ Configured" : "❌ Missing",
-  redis: enhancedConfig.REDIS_URL ? "✅ Configured" : "⚠️ Disabled",
+  database: enhancedConfig.MONGODB_URI ? "configured" : "missing",
+  redis: enhancedConfig.ENABLE_REDIS ? "configured" : "disabled",
+  logLevel: enhancedConfig.LOG_LEVEL,
 });
 
 export  {
@@ -217,4 +536,5 @@ export  {
   parseBoolean,
   parseInteger,
   parseArray,
+  parseDuration,
 }
\ No newline at end of file
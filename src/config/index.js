@@ -2,6 +2,7 @@ import {
   enhancedConfig,
   parseArray,
   parseBoolean,
+  parseDuration,
   parseInteger,
   sanitizeConfigForLogging,
   validateConfiguration,
@@ -19,5 +20,6 @@ export {
   parseArray,
   parseBoolean,
   parseInteger,
+  parseDuration,
   enhancedConfig,
 };
\ No newline at end of file
@@ -0,0 +1,913 @@
+import crypto from "crypto";
+import { once } from "events";
+import User from "../model/user.model.js";
+import OAuthClient from "../model/oauthClient.model.js";
+import AuditEvent from "../model/auditEvent.model.js";
+import ApiKey from "../model/apiKey.model.js";
+import InviteCode from "../model/inviteCode.model.js";
+import { validationResult } from "express-validator";
+import mailService from "../services/mail.service.js";
+import { logger } from "../services/logger.service.js";
+import { unlockAccount } from "../services/lockout.service.js";
+import { getDiagnostics } from "../services/health.service.js";
+import { AuthError } from "../services/auth.service.js";
+import { createApiKey, formatApiKey, revokeApiKey } from "../services/apiKey.service.js";
+import roleStore, { assertCanGrant, assertRolesExist } from "../services/role.service.js";
+import { createInviteCode, formatInviteCode, revokeInviteCode } from "../services/registration.service.js";
+import {
+  recordAuditEvent,
+  buildAuditFilter,
+  formatAuditEvent,
+  toCsvRow,
+  AUDIT_CSV_COLUMNS
+} from "../services/audit.service.js";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Admin view of a user, including account-security state
+const formatUser = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  roles: user.roles,
+  isActive: user.isActive,
+  isVerified: user.isVerified,
+  mfaEnabled: !!user.mfa?.enabled,
+  isLocked: user.isLocked,
+  loginAttempts: user.loginAttempts,
+  lockUntil: user.lockUntil,
+  lockCount: user.lockCount,
+  activeSessions: user.refreshTokens.length,
+  lastLogin: user.lastLogin,
+  securityEvents: user.securityEvents,
+  profile: user.profile,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+const isSelf = (req) => String(req.user.id) === String(req.params.id);
+
+class AdminController {
+  // List users with filtering and pagination
+  async listUsers(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const { role, isActive, isVerified, locked, search, page = 1, limit = 20 } = req.query;
+
+      const filter = {};
+      if (role) filter.roles = role;
+      if (isActive !== undefined) filter.isActive = isActive;
+      if (isVerified !== undefined) filter.isVerified = isVerified;
+      if (locked === true) {
+        filter.lockUntil = { $gt: new Date() };
+      } else if (locked === false) {
+        filter.$or = [{ lockUntil: null }, { lockUntil: { $lte: new Date() } }];
+      }
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search), "i");
+        filter.$and = [{ $or: [{ fullName: pattern }, { email: pattern }] }];
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        User.countDocuments(filter)
+      ]);
+
+      res.set("X-Total-Count", String(total));
+
+      res.status(200).json({
+        success: true,
+        message: "Users retrieved successfully",
+        data: {
+          users: users.map(formatUser),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('List users error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while listing users"
+      });
+    }
+  }
+
+  // Get a single user
+  async getUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "User retrieved successfully",
+        data: { user: formatUser(user) }
+      });
+
+    } catch (error) {
+      logger.error('Get user error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while fetching user"
+      });
+    }
+  }
+
+  // Replace a user's roles
+  async updateRoles(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      // Prevent admins from demoting themselves out of the admin API
+      if (isSelf(req)) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own roles"
+        });
+      }
+
+      const roles = [...new Set(req.body.roles)];
+      assertRolesExist(roles);
+      assertCanGrant(req.user, roleStore.permissionsFor(roles));
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      // Tokens carry the roles, so outstanding ones must be reissued
+      const previousRoles = [...user.roles];
+      user.roles = roles;
+      user.revokeAccessTokens();
+      await user.save();
+
+      await recordAuditEvent(req, {
+        type: "user_role_changed",
+        target: user._id,
+        details: { from: previousRoles, to: roles }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "User roles updated successfully",
+        data: { user: formatUser(user) }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Update roles error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while updating roles"
+      });
+    }
+  }
+
+  // Deactivate a user and end their sessions
+  async deactivateUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      if (isSelf(req)) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot deactivate your own account"
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      user.isActive = false;
+      user.refreshTokens = [];
+      user.revokeAccessTokens();
+      await user.save();
+
+      await recordAuditEvent(req, { type: "user_deactivated", target: user._id });
+
+      res.status(200).json({
+        success: true,
+        message: "User deactivated successfully",
+        data: { user: formatUser(user) }
+      });
+
+    } catch (error) {
+      logger.error('Deactivate user error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while deactivating user"
+      });
+    }
+  }
+
+  // Reactivate a deactivated user
+  async reactivateUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      user.isActive = true;
+      await user.save();
+
+      await recordAuditEvent(req, { type: "user_reactivated", target: user._id });
+
+      res.status(200).json({
+        success: true,
+        message: "User reactivated successfully",
+        data: { user: formatUser(user) }
+      });
+
+    } catch (error) {
+      logger.error('Reactivate user error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while reactivating user"
+      });
+    }
+  }
+
+  // Clear a login lockout
+  async unlockUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      await unlockAccount(user, req, "admin");
+
+      res.status(200).json({
+        success: true,
+        message: "User unlocked successfully",
+        data: { user: formatUser(user) }
+      });
+
+    } catch (error) {
+      logger.error('Unlock user error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while unlocking user"
+      });
+    }
+  }
+
+  // Revoke every session a user has
+  async forceLogout(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      user.revokeAccessTokens();
+      await user.clearAllRefreshTokens();
+
+      await recordAuditEvent(req, { type: "sessions_revoked", target: user._id, details: { byAdmin: true } });
+
+      res.status(200).json({
+        success: true,
+        message: "User logged out from all devices successfully"
+      });
+
+    } catch (error) {
+      logger.error('Force logout error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while logging out user"
+      });
+    }
+  }
+
+  // Email the user a password reset link
+  async triggerPasswordReset(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      const resetToken = user.generatePasswordReset();
+      await user.save({ validateBeforeSave: false });
+
+      // Admins should know if delivery failed, so wait for the transport here
+      await mailService.sendPasswordReset(user, resetToken);
+
+      await recordAuditEvent(req, { type: "password_reset_requested", target: user._id, details: { byAdmin: true } });
+
+      res.status(200).json({
+        success: true,
+        message: "Password reset email sent"
+      });
+
+    } catch (error) {
+      logger.error('Trigger password reset error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while triggering password reset"
+      });
+    }
+  }
+
+  // List a user's API keys
+  async listUserApiKeys(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const apiKeys = await ApiKey.find({ user: req.params.id }).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        message: "API keys retrieved successfully",
+        data: { apiKeys: apiKeys.map(formatApiKey) }
+      });
+
+    } catch (error) {
+      logger.error('List user API keys error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while listing API keys"
+      });
+    }
+  }
+
+  // Issue an API key on a user's behalf, e.g. for a service account
+  async createUserApiKey(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      // A key acts with the owner's permissions, so issuing one hands them out
+      assertCanGrant(req.user, roleStore.permissionsFor(user.roles));
+
+      const { apiKey, key } = await createApiKey(user, req.body, req);
+
+      res.status(201).json({
+        success: true,
+        message: "API key created. Copy it now: it won't be shown again",
+        data: {
+          apiKey: formatApiKey(apiKey),
+          key
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Create user API key error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while creating API key"
+      });
+    }
+  }
+
+  // Revoke one of a user's API keys
+  async revokeUserApiKey(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const apiKey = await ApiKey.findOne({ _id: req.params.keyId, user: req.params.id });
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          message: "API key not found"
+        });
+      }
+
+      await revokeApiKey(apiKey, req);
+
+      res.status(200).json({
+        success: true,
+        message: "API key revoked successfully",
+        data: { apiKey: formatApiKey(apiKey) }
+      });
+
+    } catch (error) {
+      logger.error('Revoke user API key error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while revoking API key"
+      });
+    }
+  }
+
+  // List registration invite codes, newest first
+  async listInviteCodes(req, res) {
+    try {
+      const inviteCodes = await InviteCode.find().sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        message: "Invite codes retrieved successfully",
+        data: { inviteCodes: inviteCodes.map(formatInviteCode) }
+      });
+
+    } catch (error) {
+      logger.error('List invite codes error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while listing invite codes"
+      });
+    }
+  }
+
+  // Issue an invite code; the code is returned only once
+  async createInviteCode(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const { inviteCode, code } = await createInviteCode(req, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Invite code created. Copy it now: it won't be shown again",
+        data: {
+          inviteCode: formatInviteCode(inviteCode),
+          code
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Create invite code error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while creating invite code"
+      });
+    }
+  }
+
+  // Revoke an invite code; accounts already created with it are unaffected
+  async revokeInviteCode(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const inviteCode = await InviteCode.findById(req.params.id);
+      if (!inviteCode) {
+        return res.status(404).json({
+          success: false,
+          message: "Invite code not found"
+        });
+      }
+
+      await revokeInviteCode(req, inviteCode);
+
+      res.status(200).json({
+        success: true,
+        message: "Invite code revoked successfully",
+        data: { inviteCode: formatInviteCode(inviteCode) }
+      });
+
+    } catch (error) {
+      logger.error('Revoke invite code error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while revoking invite code"
+      });
+    }
+  }
+
+  // List registered OAuth/OIDC client applications
+  async listClients(req, res) {
+    try {
+      const clients = await OAuthClient.find().sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        message: "OAuth clients retrieved successfully",
+        data: { clients }
+      });
+
+    } catch (error) {
+      logger.error('List OAuth clients error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while listing OAuth clients"
+      });
+    }
+  }
+
+  // Register a client application; the secret is returned only once
+  async createClient(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const { name, redirectUris, allowedScopes, isConfidential = true } = req.body;
+
+      const client = new OAuthClient({
+        clientId: crypto.randomUUID(),
+        name,
+        redirectUris,
+        isConfidential,
+        createdBy: req.user.id,
+        ...(allowedScopes && { allowedScopes })
+      });
+      const clientSecret = isConfidential ? client.generateClientSecret() : undefined;
+      await client.save();
+
+      await recordAuditEvent(req, { type: "oauth_client_created", details: { clientId: client.clientId } });
+
+      res.status(201).json({
+        success: true,
+        message: "OAuth client registered successfully",
+        data: {
+          client,
+          ...(clientSecret && { clientSecret })
+        }
+      });
+
+    } catch (error) {
+      logger.error('Create OAuth client error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while registering OAuth client"
+      });
+    }
+  }
+
+  // Issue a new client secret, invalidating the old one
+  async rotateClientSecret(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const client = await OAuthClient.findById(req.params.id);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: "OAuth client not found"
+        });
+      }
+
+      if (!client.isConfidential) {
+        return res.status(400).json({
+          success: false,
+          message: "Public clients don't have a secret"
+        });
+      }
+
+      const clientSecret = client.generateClientSecret();
+      await client.save();
+
+      await recordAuditEvent(req, { type: "oauth_client_secret_rotated", details: { clientId: client.clientId } });
+
+      res.status(200).json({
+        success: true,
+        message: "Client secret rotated successfully",
+        data: { client, clientSecret }
+      });
+
+    } catch (error) {
+      logger.error('Rotate client secret error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while rotating client secret"
+      });
+    }
+  }
+
+  // Disable a client; its users' OAuth sessions stop refreshing
+  async deactivateClient(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const client = await OAuthClient.findByIdAndUpdate(
+        req.params.id,
+        { $set: { isActive: false } },
+        { new: true }
+      );
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: "OAuth client not found"
+        });
+      }
+
+      await User.updateMany(
+        { "refreshTokens.clientId": client.clientId },
+        { $pull: { refreshTokens: { clientId: client.clientId } } }
+      );
+
+      await recordAuditEvent(req, { type: "oauth_client_deactivated", details: { clientId: client.clientId } });
+
+      res.status(200).json({
+        success: true,
+        message: "OAuth client deactivated successfully",
+        data: { client }
+      });
+
+    } catch (error) {
+      logger.error('Deactivate OAuth client error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while deactivating OAuth client"
+      });
+    }
+  }
+
+  // Query the audit log with filtering and pagination
+  async listAuditEvents(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const { page = 1, limit = 50 } = req.query;
+      const filter = buildAuditFilter(req.query);
+
+      const [events, total] = await Promise.all([
+        AuditEvent.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditEvent.countDocuments(filter)
+      ]);
+
+      res.set("X-Total-Count", String(total));
+
+      res.status(200).json({
+        success: true,
+        message: "Audit events retrieved successfully",
+        data: {
+          events: events.map(formatAuditEvent),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('List audit events error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while listing audit events"
+      });
+    }
+  }
+
+  // Stream every matching audit event as JSON Lines or CSV
+  async exportAuditEvents(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const format = req.query.format || "jsonl";
+      const filter = buildAuditFilter(req.query);
+
+      await recordAuditEvent(req, {
+        type: "audit_log_exported",
+        details: { format, filter: req.query }
+      });
+
+      const filename = `audit-events-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.status(200).set({
+        "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Cache-Control": "no-store"
+      });
+
+      if (format === "csv") {
+        res.write(`${AUDIT_CSV_COLUMNS.join(",")}\n`);
+      }
+
+      const cursor = AuditEvent.find(filter).sort({ createdAt: -1 }).lean().cursor();
+      for await (const event of cursor) {
+        const line = format === "csv" ? toCsvRow(event) : JSON.stringify(formatAuditEvent(event));
+        // Respect backpressure so large exports don't buffer in memory
+        if (!res.write(`${line}\n`)) {
+          await once(res, "drain");
+        }
+      }
+
+      res.end();
+
+    } catch (error) {
+      logger.error('Export audit events error', { error });
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while exporting audit events"
+      });
+    }
+  }
+
+  // Readiness checks with connection, key and process details
+  async getDiagnostics(req, res) {
+    try {
+      const diagnostics = await getDiagnostics();
+
+      res.status(200).json({
+        success: true,
+        message: "Diagnostics retrieved successfully",
+        data: { diagnostics }
+      });
+
+    } catch (error) {
+      logger.error('Get diagnostics error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while collecting diagnostics"
+      });
+    }
+  }
+}
+
+export default new AdminController();
@@ -0,0 +1,115 @@
+import User from "../model/user.model.js";
+import ApiKey from "../model/apiKey.model.js";
+import { validationResult } from "express-validator";
+import { AuthError } from "../services/auth.service.js";
+import { logger } from "../services/logger.service.js";
+import { createApiKey, formatApiKey, revokeApiKey } from "../services/apiKey.service.js";
+
+// Personal API keys for the signed-in user
+class ApiKeyController {
+  // List the user's keys, including revoked and expired ones
+  async list(req, res) {
+    try {
+      const apiKeys = await ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        message: "API keys retrieved successfully",
+        data: { apiKeys: apiKeys.map(formatApiKey) }
+      });
+
+    } catch (error) {
+      logger.error('List API keys error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while listing API keys"
+      });
+    }
+  }
+
+  // Create a key; the raw key is only ever returned here
+  async create(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      const { apiKey, key } = await createApiKey(user, req.body, req);
+
+      res.status(201).json({
+        success: true,
+        message: "API key created. Copy it now: it won't be shown again",
+        data: {
+          apiKey: formatApiKey(apiKey),
+          key
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Create API key error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while creating API key"
+      });
+    }
+  }
+
+  // Revoke one of the user's keys
+  async revoke(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user.id });
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          message: "API key not found"
+        });
+      }
+
+      await revokeApiKey(apiKey, req);
+
+      res.status(200).json({
+        success: true,
+        message: "API key revoked successfully",
+        data: { apiKey: formatApiKey(apiKey) }
+      });
+
+    } catch (error) {
+      logger.error('Revoke API key error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while revoking API key"
+      });
+    }
+  }
+}
+
+export default new ApiKeyController();
@@ -1,7 +1,128 @@
-import User from "../model/user.model.js";
+import User, { MFA_SECRET_FIELDS } from "../model/user.model.js";
 import { validationResult } from "express-validator";
 import jwt from "jsonwebtoken";
 import { config } from "../config/index.js";
+import mailService from "../services/mail.service.js";
+import { recordSecurityEvent } from "../services/security.service.js";
+import { AuthError, getSessionUser, rotateSession } from "../services/auth.service.js";
+import { revokeAccessToken } from "../services/tokenDenylist.service.js";
+import { recordAuditEvent } from "../services/audit.service.js";
+import { logger } from "../services/logger.service.js";
+import { loginAttemptsTotal } from "../services/metrics.service.js";
+import {
+  checkIpAllowed,
+  checkAccountAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+} from "../services/lockout.service.js";
+import { getSessionMetadata, formatSession } from "../services/session.service.js";
+import roleStore from "../services/role.service.js";
+import {
+  assertPasswordAllowed,
+  getPasswordPolicy,
+  isPasswordExpired
+} from "../services/passwordPolicy.service.js";
+import { needsRehash } from "../services/passwordHasher.service.js";
+import {
+  checkRegistrationPolicy,
+  getRegistrationPolicy,
+  redeemInviteCode,
+  releaseInviteCode,
+  recordInviteCodeUse
+} from "../services/registration.service.js";
+
+// Fields a user may change on their own profile; anything else is ignored
+const PROFILE_UPDATE_FIELDS = [
+  "fullName",
+  "profile.avatar",
+  "profile.dateOfBirth",
+  "profile.phone",
+  "profile.address.street",
+  "profile.address.city",
+  "profile.address.state",
+  "profile.address.country",
+  "profile.address.zipCode",
+  "profile.preferences.language",
+  "profile.preferences.timezone",
+  "profile.preferences.notifications.email",
+  "profile.preferences.notifications.sms",
+  "profile.preferences.notifications.push",
+];
+
+const getPath = (source, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+// Audit trail and metrics for login attempts; user is null for unknown emails
+const auditLogin = (req, outcome, user, details = {}) => {
+  loginAttemptsTotal.inc({ outcome, reason: details.reason || "none" });
+  return recordAuditEvent(req, {
+    type: "login",
+    outcome,
+    actor: user?._id || null,
+    target: user?._id || null,
+    details
+  });
+};
+
+// Response for a login refused by the lockout policy
+const rejectLogin = async (req, res, rejection, user = null) => {
+  await auditLogin(req, "failure", user, { reason: rejection.code });
+  res.set("Retry-After", String(rejection.retryAfter));
+  return res.status(rejection.statusCode).json({
+    success: false,
+    message: rejection.message,
+    code: rejection.code
+  });
+};
+
+// Final login step shared by password-only and MFA logins
+const completeLogin = async (user, req, res, method = "password") => {
+  // Clean up expired tokens
+  await user.cleanupExpiredTokens();
+
+  if (!user.hasSessionCapacity()) {
+    await auditLogin(req, "failure", user, { reason: "SESSION_LIMIT", method });
+    return res.status(409).json({
+      success: false,
+      message: "Maximum number of active sessions reached. Sign out of another device first"
+    });
+  }
+
+  await user.updateLastLogin();
+
+  // Generate new tokens
+  const accessToken = user.generateAccessToken();
+  const refreshToken = user.generateRefreshToken();
+
+  // Store refresh token
+  await user.addRefreshToken(refreshToken, getSessionMetadata(req));
+  await auditLogin(req, "success", user, { method });
+
+  // Set secure cookies
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: config.isProduction,
+    sameSite: config.COOKIE_SAME_SITE,
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        roles: user.roles,
+        isVerified: user.isVerified,
+        lastLogin: user.lastLogin
+      },
+      accessToken
+    }
+  });
+};
 
 class AuthController {
   // Register new user
@@ -17,7 +138,10 @@ class AuthController {
         });
       }
 
-      const { fullName, email, password } = req.body;
+      const { fullName, email, password, inviteCode: code } = req.body;
+
+      // REGISTRATION_MODE, allowed and disposable domains
+      const { autoVerify } = checkRegistrationPolicy(email, code);
 
       // Check if user already exists
       const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -28,21 +152,71 @@ class AuthController {
         });
       }
 
+      await assertPasswordAllowed(password);
+
+      // Claimed before the user exists so concurrent sign-ups can't overuse it
+      const inviteCode = await redeemInviteCode(code);
+
       // Create new user
       const user = new User({
         fullName,
         email: email.toLowerCase(),
-        password
+        password,
+        isVerified: autoVerify
       });
 
-      await user.save();
+      // Issue an email verification link unless the domain is trusted
+      const verifyToken = autoVerify ? null : user.generateEmailVerification();
+
+      try {
+        await user.save();
+      } catch (error) {
+        if (inviteCode) await releaseInviteCode(inviteCode);
+        throw error;
+      }
+
+      if (inviteCode) await recordInviteCodeUse(inviteCode, user);
+
+      await recordAuditEvent(req, {
+        type: "user_registered",
+        actor: user._id,
+        target: user._id,
+        details: {
+          mode: config.REGISTRATION_MODE,
+          ...(inviteCode && { inviteCodeId: String(inviteCode._id) }),
+          ...(autoVerify && { autoVerified: true })
+        }
+      });
+
+      if (verifyToken) {
+        mailService.sendEmailVerification(user, verifyToken).catch((error) => {
+          logger.error('Verification email error', { error });
+        });
+      }
+
+      // Unverified users can't sign in yet, so don't start a session
+      if (config.UNVERIFIED_LOGIN_MODE === "block" && !user.isVerified) {
+        return res.status(201).json({
+          success: true,
+          message: "User registered successfully. Please verify your email address before logging in",
+          data: {
+            user: {
+              id: user._id,
+              fullName: user.fullName,
+              email: user.email,
+              roles: user.roles,
+              isVerified: user.isVerified
+            }
+          }
+        });
+      }
 
       // Generate tokens
       const accessToken = user.generateAccessToken();
       const refreshToken = user.generateRefreshToken();
 
       // Store refresh token
-      await user.addRefreshToken(refreshToken);
+      await user.addRefreshToken(refreshToken, getSessionMetadata(req));
 
       // Set secure cookies
       res.cookie('refreshToken', refreshToken, {
@@ -60,7 +234,7 @@ class AuthController {
             id: user._id,
             fullName: user.fullName,
             email: user.email,
-            role: user.role,
+            roles: user.roles,
             isVerified: user.isVerified
           },
           accessToken
@@ -68,7 +242,21 @@ class AuthController {
       });
 
     } catch (error) {
-      console.error('Registration error:', error);
+      // Refused by the registration or password policy
+      if (error instanceof AuthError) {
+        await recordAuditEvent(req, {
+          type: "registration_rejected",
+          outcome: "failure",
+          details: { reason: error.code, mode: config.REGISTRATION_MODE }
+        });
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      logger.error('Registration error', { error });
       res.status(500).json({
         success: false,
         message: "Internal server error during registration"
@@ -76,6 +264,24 @@ class AuthController {
     }
   }
 
+  // The password rules, so clients can show them on password forms
+  async getPasswordPolicy(req, res) {
+    res.status(200).json({
+      success: true,
+      message: "Password policy retrieved successfully",
+      data: { policy: getPasswordPolicy() }
+    });
+  }
+
+  // How new accounts can be created, so clients can adapt the sign-up form
+  async getRegistrationPolicy(req, res) {
+    res.status(200).json({
+      success: true,
+      message: "Registration policy retrieved successfully",
+      data: { policy: getRegistrationPolicy() }
+    });
+  }
+
   // Login user
   async login(req, res) {
     try {
@@ -91,25 +297,31 @@ class AuthController {
 
       const { email, password } = req.body;
 
+      const ipRejection = await checkIpAllowed(req.ip);
+      if (ipRejection) {
+        return rejectLogin(req, res, ipRejection);
+      }
+
       // Find user with password field
       const user = await User.findByEmail(email);
       if (!user) {
+        await recordLoginFailure(null, req);
+        await auditLogin(req, "failure", null, { reason: "UNKNOWN_USER", email });
         return res.status(401).json({
           success: false,
           message: "Invalid credentials"
         });
       }
 
-      // Check if account is locked
-      if (user.isLocked) {
-        return res.status(423).json({
-          success: false,
-          message: "Account temporarily locked due to too many failed login attempts"
-        });
+      // Check if account is locked or still backing off
+      const accountRejection = checkAccountAllowed(user);
+      if (accountRejection) {
+        return rejectLogin(req, res, accountRejection, user);
       }
 
       // Check if account is active
       if (!user.isActive) {
+        await auditLogin(req, "failure", user, { reason: "ACCOUNT_DEACTIVATED" });
         return res.status(403).json({
           success: false,
           message: "Account is deactivated"
@@ -119,53 +331,68 @@ class AuthController {
       // Verify password
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
-        await user.incLoginAttempts();
+        await recordLoginFailure(user, req);
+        await auditLogin(req, "failure", user, { reason: "INVALID_PASSWORD" });
         return res.status(401).json({
           success: false,
           message: "Invalid credentials"
         });
       }
 
-      // Reset login attempts on successful login
-      await user.resetLoginAttempts();
-      await user.updateLastLogin();
+      // Move hashes made with an older algorithm or weaker parameters onto the current ones
+      if (config.PASSWORD_REHASH_ON_LOGIN && needsRehash(user.password)) {
+        user.upgradePasswordHash(password).catch((error) => {
+          logger.error('Password rehash error', { error });
+        });
+      }
 
-      // Clean up expired tokens
-      await user.cleanupExpiredTokens();
+      if (!user.isVerified && config.UNVERIFIED_LOGIN_MODE === "block") {
+        await recordLoginSuccess(user);
+        await auditLogin(req, "failure", user, { reason: "EMAIL_NOT_VERIFIED" });
+        return res.status(403).json({
+          success: false,
+          message: "Please verify your email address before logging in"
+        });
+      }
 
-      // Generate new tokens
-      const accessToken = user.generateAccessToken();
-      const refreshToken = user.generateRefreshToken();
+      // Expired passwords are replaced through the password reset flow
+      if (isPasswordExpired(user)) {
+        await recordLoginSuccess(user);
+        await auditLogin(req, "failure", user, { reason: "PASSWORD_EXPIRED" });
+        return res.status(403).json({
+          success: false,
+          message: "Your password has expired. Please reset it to log in",
+          code: "PASSWORD_EXPIRED"
+        });
+      }
 
-      // Store refresh token
-      await user.addRefreshToken(refreshToken);
+      // Second factor required: failed attempts keep counting until it succeeds
+      if (user.mfa?.enabled) {
+        const mfaToken = jwt.sign(
+          { id: user._id, tokenType: "mfa_challenge" },
+          config.MFA_CHALLENGE_SECRET,
+          { expiresIn: config.MFA_CHALLENGE_EXPIRES_IN }
+        );
 
-      // Set secure cookies
-      res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: config.isProduction,
-        sameSite: config.COOKIE_SAME_SITE,
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
+        await recordAuditEvent(req, { type: "login_mfa_challenge", actor: user._id, target: user._id });
 
-      res.status(200).json({
-        success: true,
-        message: "Login successful",
-        data: {
-          user: {
-            id: user._id,
-            fullName: user.fullName,
-            email: user.email,
-            role: user.role,
-            isVerified: user.isVerified,
-            lastLogin: user.lastLogin
-          },
-          accessToken
-        }
-      });
+        return res.status(200).json({
+          success: true,
+          message: "Password verified. Multi-factor authentication required",
+          data: {
+            mfaRequired: true,
+            mfaToken
+          }
+        });
+      }
+
+      // Reset login attempts on successful login
+      await recordLoginSuccess(user);
+
+      return completeLogin(user, req, res);
 
     } catch (error) {
-      console.error('Login error:', error);
+      logger.error('Login error', { error });
       res.status(500).json({
         success: false,
         message: "Internal server error during login"
@@ -173,46 +400,89 @@ class AuthController {
     }
   }
 
-  // Refresh token
-  async refreshToken(req, res) {
+  // Complete a login with a TOTP or recovery code
+  async loginMfa(req, res) {
     try {
-      const refreshToken = req.cookies.refreshToken;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
 
-      if (!refreshToken) {
+      const { mfaToken, code, recoveryCode } = req.body;
+
+      let decoded;
+      try {
+        decoded = jwt.verify(mfaToken, config.MFA_CHALLENGE_SECRET);
+      } catch (error) {
         return res.status(401).json({
           success: false,
-          message: "Refresh token not provided"
+          message: "MFA challenge is invalid or has expired. Please log in again"
         });
       }
 
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, config.JWT_REFRESH_SECRET);
-      
-      // Find user and check if refresh token exists
-      const user = await User.findById(decoded.id);
-      if (!user) {
+      const user = await User.findById(decoded.id).select(MFA_SECRET_FIELDS);
+      if (!user || decoded.tokenType !== "mfa_challenge" || !user.mfa?.enabled) {
         return res.status(401).json({
           success: false,
-          message: "User not found"
+          message: "MFA challenge is invalid or has expired. Please log in again"
         });
       }
 
-      // Check if refresh token exists in user's tokens
-      const tokenExists = user.refreshTokens.some(t => t.token === refreshToken);
-      if (!tokenExists) {
+      const rejection = (await checkIpAllowed(req.ip)) || checkAccountAllowed(user);
+      if (rejection) {
+        return rejectLogin(req, res, rejection, user);
+      }
+
+      if (!user.isActive) {
+        await auditLogin(req, "failure", user, { reason: "ACCOUNT_DEACTIVATED", method: "mfa" });
+        return res.status(403).json({
+          success: false,
+          message: "Account is deactivated"
+        });
+      }
+
+      const method = user.verifyMfaCode({ code, recoveryCode });
+      if (!method) {
+        await recordLoginFailure(user, req);
+        await auditLogin(req, "failure", user, { reason: "INVALID_MFA_CODE", method: "mfa" });
         return res.status(401).json({
           success: false,
-          message: "Invalid refresh token"
+          message: "Invalid authentication code"
         });
       }
 
-      // Generate new tokens
-      const newAccessToken = user.generateAccessToken();
-      const newRefreshToken = user.generateRefreshToken();
+      // Persist the used step / consumed recovery code
+      await user.save({ validateBeforeSave: false });
+      await recordLoginSuccess(user);
+
+      if (method === "recovery") {
+        await recordSecurityEvent(user._id, "mfa_recovery_code_used", req, {
+          remaining: user.mfa.recoveryCodes.length
+        });
+      }
+
+      return completeLogin(user, req, res, method);
+
+    } catch (error) {
+      logger.error('MFA login error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during login"
+      });
+    }
+  }
+
+  // Refresh token
+  async refreshToken(req, res) {
+    try {
+      const { user, accessToken: newAccessToken, refreshToken: newRefreshToken } =
+        await rotateSession(req.cookies.refreshToken, req);
 
-      // Remove old refresh token and add new one
-      await user.removeRefreshToken(refreshToken);
-      await user.addRefreshToken(newRefreshToken);
+      await recordAuditEvent(req, { type: "token_refresh", actor: user._id, target: user._id });
 
       // Set new refresh token cookie
       res.cookie('refreshToken', newRefreshToken, {
@@ -231,7 +501,25 @@ class AuthController {
       });
 
     } catch (error) {
-      console.error('Token refresh error:', error);
+      if (error instanceof AuthError) {
+        if (error.code === "TOKEN_REUSE") {
+          res.clearCookie('refreshToken');
+        }
+        // A missing cookie just means nobody is signed in
+        if (req.cookies.refreshToken) {
+          await recordAuditEvent(req, {
+            type: "token_refresh",
+            outcome: "failure",
+            details: { reason: error.code || error.message }
+          });
+        }
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Token refresh error', { error });
       res.status(401).json({
         success: false,
         message: "Invalid or expired refresh token"
@@ -243,13 +531,21 @@ class AuthController {
   async logout(req, res) {
     try {
       const refreshToken = req.cookies.refreshToken;
-      const userId = req.user?.id;
 
-      if (refreshToken && userId) {
-        const user = await User.findById(userId);
-        if (user) {
-          await user.removeRefreshToken(refreshToken);
-        }
+      // End the session behind the cookie, even if the access token has expired
+      const current = await getSessionUser(refreshToken);
+      if (current) {
+        await current.user.removeRefreshToken(refreshToken);
+      }
+
+      // Deny the access token presented with this request
+      if (req.token) {
+        await revokeAccessToken(req.token.jti, req.token.exp);
+      }
+
+      const userId = current?.user._id || req.user?.id;
+      if (userId) {
+        await recordAuditEvent(req, { type: "logout", actor: userId, target: userId });
       }
 
       // Clear refresh token cookie
@@ -261,7 +557,7 @@ class AuthController {
       });
 
     } catch (error) {
-      console.error('Logout error:', error);
+      logger.error('Logout error', { error });
       res.status(500).json({
         success: false,
         message: "Internal server error during logout"
@@ -269,24 +565,137 @@ class AuthController {
     }
   }
 
-  // Logout from all devices
-  async logoutAll(req, res) {
+  // List active sessions for the current user
+  async listSessions(req, res) {
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      const now = new Date();
+      const current = user.findSession(req.cookies.refreshToken);
+      const sessions = user.refreshTokens
+        .filter(t => t.expiresAt > now)
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .map(t => formatSession(t, current?._id));
+
+      res.status(200).json({
+        success: true,
+        message: "Sessions retrieved successfully",
+        data: { sessions }
+      });
+
+    } catch (error) {
+      logger.error('List sessions error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while fetching sessions"
+      });
+    }
+  }
+
+  // Revoke a single session
+  async revokeSession(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.user.id);
+      const session = user?.refreshTokens.id(req.params.id);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found"
+        });
+      }
+
+      const isCurrent = user.findSession(req.cookies.refreshToken)?._id.equals(session._id);
+      await user.revokeSession(session._id);
+
+      await recordAuditEvent(req, {
+        type: "session_revoked",
+        target: user._id,
+        details: { sessionId: String(session._id), current: !!isCurrent }
+      });
+
+      if (isCurrent) {
+        res.clearCookie('refreshToken');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Session revoked successfully"
+      });
+
+    } catch (error) {
+      logger.error('Revoke session error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while revoking session"
+      });
+    }
+  }
+
+  // Revoke all sessions, or all but the current one with ?except=current
+  async revokeSessions(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const keepCurrent = req.query.except === "current";
+
       const user = await User.findById(req.user.id);
+      let accessToken;
       if (user) {
-        await user.clearAllRefreshTokens();
+        // Access tokens already handed to other devices stop working too
+        user.revokeAccessTokens();
+
+        if (keepCurrent) {
+          user.retainOnlyRefreshToken(req.cookies.refreshToken);
+          await user.save();
+          accessToken = user.generateAccessToken();
+        } else {
+          await user.clearAllRefreshTokens();
+        }
+
+        await recordAuditEvent(req, {
+          type: "sessions_revoked",
+          target: user._id,
+          details: { keepCurrent }
+        });
       }
 
-      // Clear refresh token cookie
-      res.clearCookie('refreshToken');
+      if (!keepCurrent) {
+        // Clear refresh token cookie
+        res.clearCookie('refreshToken');
+      }
 
       res.status(200).json({
         success: true,
-        message: "Logged out from all devices successfully"
+        message: keepCurrent
+          ? "Logged out from all other devices successfully"
+          : "Logged out from all devices successfully",
+        ...(accessToken && { data: { accessToken } })
       });
 
     } catch (error) {
-      console.error('Logout all error:', error);
+      logger.error('Revoke sessions error', { error });
       res.status(500).json({
         success: false,
         message: "Internal server error during logout"
@@ -294,6 +703,349 @@ class AuthController {
     }
   }
 
+  // Request a password reset link
+  async forgotPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+      if (user && user.isActive) {
+        const resetToken = user.generatePasswordReset();
+        await user.save({ validateBeforeSave: false });
+
+        // Not awaited so response time doesn't reveal whether the account exists
+        mailService.sendPasswordReset(user, resetToken).catch((error) => {
+          logger.error('Password reset email error', { error });
+        });
+      }
+
+      // Recorded either way, so timing doesn't reveal whether the account exists
+      await recordAuditEvent(req, {
+        type: "password_reset_requested",
+        outcome: user?.isActive ? "success" : "failure",
+        target: user?._id,
+        ...(!user && { details: { email: req.body.email } })
+      });
+
+      // Same response whether or not the email is registered
+      res.status(200).json({
+        success: true,
+        message: "If an account exists for that email, a password reset link has been sent"
+      });
+
+    } catch (error) {
+      logger.error('Forgot password error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during password reset request"
+      });
+    }
+  }
+
+  // Reset password using an emailed token
+  async resetPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const { token, password } = req.body;
+
+      const user = await User.findByResetToken(token);
+      if (!user) {
+        await recordAuditEvent(req, {
+          type: "password_reset",
+          outcome: "failure",
+          details: { reason: "INVALID_TOKEN" }
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Password reset token is invalid or has expired"
+        });
+      }
+
+      await assertPasswordAllowed(password, user);
+
+      // Password is hashed by the pre-save hook
+      user.password = password;
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      user.loginAttempts = 0;
+      user.lockCount = 0;
+      user.lockUntil = undefined;
+      user.lastFailedLoginAt = undefined;
+
+      // Revoke every existing session and access token
+      user.refreshTokens = [];
+      user.revokeAccessTokens();
+
+      await user.save();
+
+      await recordAuditEvent(req, { type: "password_reset", actor: user._id, target: user._id });
+
+      res.clearCookie('refreshToken');
+
+      res.status(200).json({
+        success: true,
+        message: "Password has been reset successfully. Please log in with your new password"
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      logger.error('Reset password error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during password reset"
+      });
+    }
+  }
+
+  // Confirm an email address using an emailed token
+  async verifyEmail(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const token = req.body?.token || req.query.token;
+
+      const user = await User.findByVerificationToken(token);
+      if (!user) {
+        await recordAuditEvent(req, {
+          type: "email_verified",
+          outcome: "failure",
+          details: { reason: "INVALID_TOKEN" }
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Verification token is invalid or has expired"
+        });
+      }
+
+      user.isVerified = true;
+      user.verificationToken = undefined;
+      user.verificationExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      await recordAuditEvent(req, { type: "email_verified", actor: user._id, target: user._id });
+
+      res.status(200).json({
+        success: true,
+        message: "Email verified successfully",
+        data: {
+          user: {
+            id: user._id,
+            email: user.email,
+            isVerified: user.isVerified
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Email verification error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during email verification"
+      });
+    }
+  }
+
+  // Unlock a locked account with the emailed link
+  async unlock(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const token = req.body?.token || req.query.token;
+
+      const user = await User.findByUnlockToken(token);
+      if (!user) {
+        await recordAuditEvent(req, {
+          type: "account_unlocked",
+          outcome: "failure",
+          details: { reason: "INVALID_TOKEN" }
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Unlock token is invalid or has expired"
+        });
+      }
+
+      await unlockAccount(user, req, "owner");
+
+      res.status(200).json({
+        success: true,
+        message: "Account unlocked successfully. You can log in again"
+      });
+
+    } catch (error) {
+      logger.error('Account unlock error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while unlocking account"
+      });
+    }
+  }
+
+  // Send a fresh verification link
+  async resendVerification(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+      if (user && user.isActive && !user.isVerified) {
+        const verifyToken = user.generateEmailVerification();
+        await user.save({ validateBeforeSave: false });
+
+        mailService.sendEmailVerification(user, verifyToken).catch((error) => {
+          logger.error('Verification email error', { error });
+        });
+      }
+
+      // Same response whether or not the email is registered or already verified
+      res.status(200).json({
+        success: true,
+        message: "If an unverified account exists for that email, a verification link has been sent"
+      });
+
+    } catch (error) {
+      logger.error('Resend verification error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while resending verification"
+      });
+    }
+  }
+
+  // Change password for the authenticated user
+  async changePassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const { currentPassword, newPassword, revokeOtherSessions = true } = req.body;
+
+      const user = await User.findById(req.user.id).select("+password");
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      const isPasswordValid = await user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        await recordAuditEvent(req, {
+          type: "password_changed",
+          outcome: "failure",
+          target: user._id,
+          details: { reason: "INVALID_PASSWORD" }
+        });
+        return res.status(401).json({
+          success: false,
+          message: "Current password is incorrect"
+        });
+      }
+
+      if (await user.comparePassword(newPassword)) {
+        return res.status(400).json({
+          success: false,
+          message: "New password must be different from the current password"
+        });
+      }
+
+      await assertPasswordAllowed(newPassword, user);
+
+      // Password is hashed by the pre-save hook
+      user.password = newPassword;
+      user.revokeAccessTokens();
+
+      // Keep only the caller's own session
+      if (revokeOtherSessions) {
+        user.retainOnlyRefreshToken(req.cookies.refreshToken);
+      }
+
+      await user.save();
+
+      await recordAuditEvent(req, {
+        type: "password_changed",
+        target: user._id,
+        details: { revokeOtherSessions }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: revokeOtherSessions
+          ? "Password changed successfully. Other sessions have been signed out"
+          : "Password changed successfully",
+        data: {
+          // Previously issued access tokens are no longer accepted
+          accessToken: user.generateAccessToken()
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      logger.error('Change password error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while changing password"
+      });
+    }
+  }
+
   // Get current user profile
   async getProfile(req, res) {
     try {
@@ -313,7 +1065,8 @@ class AuthController {
             id: user._id,
             fullName: user.fullName,
             email: user.email,
-            role: user.role,
+            roles: user.roles,
+            permissions: roleStore.permissionsFor(user.roles),
             isVerified: user.isVerified,
             isActive: user.isActive,
             lastLogin: user.lastLogin,
@@ -325,13 +1078,87 @@ class AuthController {
       });
 
     } catch (error) {
-      console.error('Get profile error:', error);
+      logger.error('Get profile error', { error });
       res.status(500).json({
         success: false,
         message: "Internal server error while fetching profile"
       });
     }
   }
+
+  // Partially update the current user's profile
+  async updateProfile(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      // Flatten to dotted paths so omitted nested fields are left untouched
+      const updates = {};
+      PROFILE_UPDATE_FIELDS.forEach((path) => {
+        const value = getPath(req.body, path);
+        if (value !== undefined) {
+          updates[path] = value;
+        }
+      });
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No updatable profile fields provided"
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { $set: updates },
+        { new: true, runValidators: true }
+      );
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      await recordAuditEvent(req, {
+        type: "profile_updated",
+        target: user._id,
+        details: { fields: Object.keys(updates) }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Profile updated successfully",
+        data: {
+          user: {
+            id: user._id,
+            fullName: user.fullName,
+            email: user.email,
+            roles: user.roles,
+            isVerified: user.isVerified,
+            isActive: user.isActive,
+            lastLogin: user.lastLogin,
+            profile: user.profile,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update profile error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while updating profile"
+      });
+    }
+  }
 }
 
 export default new AuthController();
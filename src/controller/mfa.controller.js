@@ -0,0 +1,243 @@
+import User, { MFA_SECRET_FIELDS } from "../model/user.model.js";
+import { validationResult } from "express-validator";
+import { recordSecurityEvent } from "../services/security.service.js";
+import { logger } from "../services/logger.service.js";
+import {
+  generateSecret,
+  buildOtpauthUri,
+  buildQrCode,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} from "../services/totp.service.js";
+
+class MfaController {
+  // Current MFA status
+  async getStatus(req, res) {
+    try {
+      const user = await User.findById(req.user.id).select("+mfa.recoveryCodes");
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "MFA status retrieved successfully",
+        data: {
+          enabled: !!user.mfa?.enabled,
+          enabledAt: user.mfa?.enabledAt,
+          recoveryCodesRemaining: user.mfa?.recoveryCodes?.length || 0
+        }
+      });
+
+    } catch (error) {
+      logger.error('MFA status error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while fetching MFA status"
+      });
+    }
+  }
+
+  // Start enrollment: issue a pending secret for the authenticator app
+  async setup(req, res) {
+    try {
+      const user = await User.findById(req.user.id).select(MFA_SECRET_FIELDS);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      if (user.mfa?.enabled) {
+        return res.status(409).json({
+          success: false,
+          message: "Multi-factor authentication is already enabled"
+        });
+      }
+
+      const secret = generateSecret();
+      const otpauthUri = buildOtpauthUri(secret, user.email);
+
+      user.mfa.pendingSecret = encryptSecret(secret);
+      await user.save({ validateBeforeSave: false });
+
+      res.status(200).json({
+        success: true,
+        message: "Scan the QR code with your authenticator app, then confirm with a code",
+        data: {
+          secret,
+          otpauthUri,
+          qrCode: await buildQrCode(otpauthUri)
+        }
+      });
+
+    } catch (error) {
+      logger.error('MFA setup error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during MFA setup"
+      });
+    }
+  }
+
+  // Finish enrollment with a first code and hand out recovery codes
+  async confirm(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.user.id).select(MFA_SECRET_FIELDS);
+      if (!user?.mfa?.pendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: "No MFA enrollment in progress. Start with /mfa/setup"
+        });
+      }
+
+      const step = verifyTotp(decryptSecret(user.mfa.pendingSecret), req.body.code);
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid authentication code"
+        });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+
+      user.mfa.enabled = true;
+      user.mfa.secret = user.mfa.pendingSecret;
+      user.mfa.pendingSecret = undefined;
+      user.mfa.lastUsedStep = step;
+      user.mfa.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+      user.mfa.enabledAt = new Date();
+      await user.save({ validateBeforeSave: false });
+
+      await recordSecurityEvent(user._id, "mfa_enabled", req);
+
+      res.status(200).json({
+        success: true,
+        message: "Multi-factor authentication enabled. Store these recovery codes somewhere safe; they won't be shown again",
+        data: { recoveryCodes }
+      });
+
+    } catch (error) {
+      logger.error('MFA confirm error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during MFA confirmation"
+      });
+    }
+  }
+
+  // Turn MFA off (requires password and a current code)
+  async disable(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const { password, code, recoveryCode } = req.body;
+
+      const user = await User.findById(req.user.id).select(`+password ${MFA_SECRET_FIELDS}`);
+      if (!user?.mfa?.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Multi-factor authentication is not enabled"
+        });
+      }
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid || !user.verifyMfaCode({ code, recoveryCode })) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid password or authentication code"
+        });
+      }
+
+      user.mfa = { enabled: false };
+      await user.save({ validateBeforeSave: false });
+
+      await recordSecurityEvent(user._id, "mfa_disabled", req);
+
+      res.status(200).json({
+        success: true,
+        message: "Multi-factor authentication disabled"
+      });
+
+    } catch (error) {
+      logger.error('MFA disable error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while disabling MFA"
+      });
+    }
+  }
+
+  // Replace all recovery codes (requires a current TOTP code)
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.user.id).select(MFA_SECRET_FIELDS);
+      if (!user?.mfa?.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Multi-factor authentication is not enabled"
+        });
+      }
+
+      if (user.verifyMfaCode({ code: req.body.code }) !== "totp") {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid authentication code"
+        });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      user.mfa.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+      await user.save({ validateBeforeSave: false });
+
+      await recordSecurityEvent(user._id, "mfa_recovery_codes_regenerated", req);
+
+      res.status(200).json({
+        success: true,
+        message: "New recovery codes generated. Previous codes no longer work",
+        data: { recoveryCodes }
+      });
+
+    } catch (error) {
+      logger.error('MFA recovery codes error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while generating recovery codes"
+      });
+    }
+  }
+}
+
+export default new MfaController();
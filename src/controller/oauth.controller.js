@@ -0,0 +1,358 @@
+import crypto from "crypto";
+import User from "../model/user.model.js";
+import OAuthClient from "../model/oauthClient.model.js";
+import AuthorizationCode from "../model/authorizationCode.model.js";
+import keyStore from "../services/keys.service.js";
+import { isAccessTokenRevoked } from "../services/tokenDenylist.service.js";
+import { config, parseDuration } from "../config/index.js";
+import { AuthError, getSessionUser, rotateSession } from "../services/auth.service.js";
+import { getSessionMetadata } from "../services/session.service.js";
+import { logger } from "../services/logger.service.js";
+
+export const SUPPORTED_SCOPES = ["openid", "profile", "email", "offline_access"];
+
+const SUPPORTED_CLAIMS = [
+  "sub", "name", "given_name", "family_name", "picture", "locale", "zoneinfo",
+  "updated_at", "email", "email_verified", "auth_time", "nonce"
+];
+
+// OAuth endpoints answer with RFC 6749 error objects, not the API envelope
+const oauthError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+const redirectWithParams = (res, redirectUri, params) => {
+  const url = new URL(redirectUri);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined) url.searchParams.set(key, value);
+  });
+  return res.redirect(302, url.toString());
+};
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Claims released for the granted scopes
+const buildUserClaims = (user, scopes) => {
+  const claims = { sub: String(user._id) };
+
+  if (scopes.includes("profile")) {
+    const [givenName, ...rest] = user.fullName.split(" ");
+    Object.assign(claims, {
+      name: user.fullName,
+      given_name: givenName,
+      family_name: rest.join(" ") || undefined,
+      picture: user.profile?.avatar || undefined,
+      locale: user.profile?.preferences?.language,
+      zoneinfo: user.profile?.preferences?.timezone,
+      updated_at: toSeconds(user.updatedAt)
+    });
+  }
+
+  if (scopes.includes("email")) {
+    Object.assign(claims, {
+      email: user.email,
+      email_verified: user.isVerified
+    });
+  }
+
+  return claims;
+};
+
+const buildIdToken = (user, clientId, scopes, { nonce, authTime } = {}) =>
+  keyStore.sign(
+    {
+      ...buildUserClaims(user, scopes),
+      ...(authTime && { auth_time: toSeconds(authTime) }),
+      ...(nonce && { nonce })
+    },
+    {
+      issuer: config.OIDC_ISSUER,
+      audience: clientId,
+      expiresIn: config.OIDC_ID_TOKEN_EXPIRES_IN
+    }
+  );
+
+// client_secret_basic, client_secret_post, or none for public clients
+export const authenticateClient = async (req) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith("Basic ")) {
+    const decoded = Buffer.from(authHeader.slice(6), "base64").toString("utf8");
+    const separator = decoded.indexOf(":");
+    if (separator < 0) return null;
+
+    // Malformed percent-encoding is a bad credential, not a server error
+    try {
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!clientId) return null;
+
+  const client = await OAuthClient.findActiveByClientId(clientId);
+  if (!client) return null;
+
+  if (client.isConfidential && !client.verifyClientSecret(clientSecret)) {
+    return null;
+  }
+
+  return client;
+};
+
+export const verifyPkce = (codeVerifier, codeChallenge) => {
+  const computed = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+  return computed.length === codeChallenge.length &&
+    crypto.timingSafeEqual(Buffer.from(computed), Buffer.from(codeChallenge));
+};
+
+class OAuthController {
+  // OpenID Provider metadata
+  discovery(req, res) {
+    const issuer = config.OIDC_ISSUER;
+
+    res.set("Cache-Control", "public, max-age=3600");
+    res.status(200).json({
+      issuer,
+      authorization_endpoint: `${issuer}/oauth/authorize`,
+      token_endpoint: `${issuer}/oauth/token`,
+      userinfo_endpoint: `${issuer}/oauth/userinfo`,
+      jwks_uri: `${issuer}/.well-known/jwks.json`,
+      scopes_supported: SUPPORTED_SCOPES,
+      response_types_supported: ["code"],
+      grant_types_supported: ["authorization_code", "refresh_token"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: [config.JWT_ALGORITHM],
+      token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+      code_challenge_methods_supported: ["S256"],
+      claims_supported: SUPPORTED_CLAIMS
+    });
+  }
+
+  // Authorization endpoint: the user is identified by their GateKeeper session cookie
+  async authorize(req, res) {
+    try {
+      const {
+        response_type: responseType,
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope = "",
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: codeChallengeMethod,
+        prompt
+      } = req.query;
+
+      // Without a valid client and redirect URI we must not redirect anywhere
+      const client = clientId && await OAuthClient.findActiveByClientId(String(clientId));
+      if (!client) {
+        return oauthError(res, 400, "invalid_client", "Unknown or inactive client");
+      }
+
+      if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+        return oauthError(res, 400, "invalid_request", "redirect_uri is not registered for this client");
+      }
+
+      const fail = (error, description) =>
+        redirectWithParams(res, redirectUri, { error, error_description: description, state });
+
+      if (responseType !== "code") {
+        return fail("unsupported_response_type", "Only response_type=code is supported");
+      }
+
+      const scopes = String(scope).split(" ").filter(Boolean);
+      if (!scopes.includes("openid")) {
+        return fail("invalid_scope", "The openid scope is required");
+      }
+      if (scopes.some((s) => !SUPPORTED_SCOPES.includes(s) || !client.allowedScopes.includes(s))) {
+        return fail("invalid_scope", "One or more requested scopes are not allowed");
+      }
+
+      if (codeChallengeMethod !== "S256" || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeChallenge || "")) {
+        return fail("invalid_request", "PKCE with code_challenge_method=S256 is required");
+      }
+
+      // The user signs in through the normal login flow, which sets the session cookie
+      const current = await getSessionUser(req.cookies.refreshToken);
+      if (!current || current.session.clientId) {
+        if (prompt === "none") {
+          return fail("login_required", "The user is not signed in");
+        }
+
+        const loginUrl = new URL(config.OIDC_LOGIN_URL || `${config.APP_URL}/login`);
+        loginUrl.searchParams.set("return_to", `${config.OIDC_ISSUER}${req.originalUrl}`);
+        return res.redirect(302, loginUrl.toString());
+      }
+
+      const code = await AuthorizationCode.issue(
+        {
+          clientId: client.clientId,
+          user: current.user._id,
+          redirectUri,
+          scope: scopes.join(" "),
+          codeChallenge,
+          nonce,
+          authTime: current.session.createdAt
+        },
+        config.OIDC_CODE_EXPIRES
+      );
+
+      return redirectWithParams(res, redirectUri, { code, state });
+
+    } catch (error) {
+      logger.error('OAuth authorize error', { error });
+      return oauthError(res, 500, "server_error", "Internal server error during authorization");
+    }
+  }
+
+  // Token endpoint: authorization_code and refresh_token grants
+  async token(req, res) {
+    res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+
+    try {
+      const client = await authenticateClient(req);
+      if (!client) {
+        if (req.headers.authorization?.startsWith("Basic ")) {
+          res.set("WWW-Authenticate", 'Basic realm="oauth"');
+        }
+        return oauthError(res, 401, "invalid_client", "Client authentication failed");
+      }
+
+      const { grant_type: grantType } = req.body;
+
+      if (grantType === "authorization_code") {
+        const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+        if (!code || !codeVerifier) {
+          return oauthError(res, 400, "invalid_request", "code and code_verifier are required");
+        }
+
+        const grant = await AuthorizationCode.redeem(String(code));
+        if (
+          !grant ||
+          grant.clientId !== client.clientId ||
+          grant.redirectUri !== redirectUri ||
+          !verifyPkce(String(codeVerifier), grant.codeChallenge)
+        ) {
+          return oauthError(res, 400, "invalid_grant", "Authorization code is invalid, expired or already used");
+        }
+
+        const user = await User.findById(grant.user);
+        if (!user || !user.isActive) {
+          return oauthError(res, 400, "invalid_grant", "User is no longer active");
+        }
+
+        const scopes = grant.scope.split(" ");
+        const response = {
+          access_token: user.generateAccessToken(
+            { scope: grant.scope, client_id: client.clientId },
+            { audience: client.clientId }
+          ),
+          token_type: "Bearer",
+          expires_in: Math.floor(parseDuration(config.JWT_EXPIRES_IN, 15 * 60 * 1000) / 1000),
+          id_token: buildIdToken(user, client.clientId, scopes, {
+            nonce: grant.nonce,
+            authTime: grant.authTime
+          }),
+          scope: grant.scope
+        };
+
+        if (scopes.includes("offline_access")) {
+          await user.cleanupExpiredTokens();
+          if (!user.hasSessionCapacity()) {
+            return oauthError(res, 400, "invalid_grant", "Maximum number of active sessions reached");
+          }
+
+          response.refresh_token = user.generateRefreshToken();
+          await user.addRefreshToken(response.refresh_token, {
+            ...getSessionMetadata(req),
+            device: client.name,
+            clientId: client.clientId,
+            scope: grant.scope
+          });
+        }
+
+        return res.status(200).json(response);
+      }
+
+      if (grantType === "refresh_token") {
+        let result;
+        try {
+          result = await rotateSession(req.body.refresh_token, req, { clientId: client.clientId });
+        } catch (error) {
+          if (error instanceof AuthError) {
+            return oauthError(res, 400, "invalid_grant", error.message);
+          }
+          throw error;
+        }
+
+        const scopes = result.session.scope.split(" ");
+        return res.status(200).json({
+          access_token: result.accessToken,
+          token_type: "Bearer",
+          expires_in: Math.floor(parseDuration(config.JWT_EXPIRES_IN, 15 * 60 * 1000) / 1000),
+          refresh_token: result.refreshToken,
+          id_token: buildIdToken(result.user, client.clientId, scopes, {
+            authTime: result.session.createdAt
+          }),
+          scope: result.session.scope
+        });
+      }
+
+      return oauthError(res, 400, "unsupported_grant_type", "Only authorization_code and refresh_token grants are supported");
+
+    } catch (error) {
+      logger.error('OAuth token error', { error });
+      return oauthError(res, 500, "server_error", "Internal server error while issuing tokens");
+    }
+  }
+
+  // UserInfo endpoint, for access tokens issued through /oauth/token
+  async userinfo(req, res) {
+    try {
+      const authHeader = req.headers.authorization;
+      const token = authHeader?.startsWith("Bearer ") && authHeader.slice(7);
+      if (!token) {
+        res.set("WWW-Authenticate", 'Bearer realm="oauth"');
+        return oauthError(res, 401, "invalid_token", "Access token is required");
+      }
+
+      let decoded;
+      try {
+        // Addressed to the client it was issued to, so check aud against client_id below
+        decoded = await keyStore.verify(token, { audience: undefined });
+      } catch (error) {
+        res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+        return oauthError(res, 401, "invalid_token", "Access token is invalid or expired");
+      }
+
+      const scopes = String(decoded.scope || "").split(" ");
+      if (!decoded.client_id || decoded.aud !== decoded.client_id || !scopes.includes("openid")) {
+        res.set("WWW-Authenticate", 'Bearer error="insufficient_scope"');
+        return oauthError(res, 403, "insufficient_scope", "Token was not issued with the openid scope");
+      }
+
+      const user = await User.findById(decoded.id);
+      if (!user || !user.isActive) {
+        res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+        return oauthError(res, 401, "invalid_token", "User is no longer active");
+      }
+
+      if ((decoded.ver || 0) !== (user.tokenVersion || 0) || await isAccessTokenRevoked(decoded.jti)) {
+        res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+        return oauthError(res, 401, "invalid_token", "Access token has been revoked");
+      }
+
+      res.status(200).json(buildUserClaims(user, scopes));
+
+    } catch (error) {
+      logger.error('OAuth userinfo error', { error });
+      return oauthError(res, 500, "server_error", "Internal server error while fetching user info");
+    }
+  }
+}
+
+export default new OAuthController();
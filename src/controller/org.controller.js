@@ -0,0 +1,487 @@
+import Membership from "../model/membership.model.js";
+import Invitation from "../model/invitation.model.js";
+import { validationResult } from "express-validator";
+import { AuthError, getSessionUser } from "../services/auth.service.js";
+import { revokeAccessToken } from "../services/tokenDenylist.service.js";
+import { recordAuditEvent } from "../services/audit.service.js";
+import { logger } from "../services/logger.service.js";
+import {
+  acceptInvitation,
+  changeMemberRole,
+  createOrganization,
+  declineInvitation,
+  formatInvitation,
+  formatMember,
+  formatOrganization,
+  inviteMember,
+  removeMember,
+  revokeInvitation,
+  transferOwnership
+} from "../services/org.service.js";
+
+// Organizations, memberships and invitations. Routes that act on one
+// organization run requireOrgMember first, which sets req.membership
+class OrgController {
+  // Organizations the signed-in user belongs to
+  async list(req, res) {
+    try {
+      const memberships = await Membership.find({ user: req.user.id })
+        .populate("organization")
+        .sort({ createdAt: 1 });
+
+      res.status(200).json({
+        success: true,
+        message: "Organizations retrieved successfully",
+        data: {
+          organizations: memberships
+            .filter((membership) => membership.organization)
+            .map((membership) => formatOrganization(membership.organization, membership)),
+          activeOrganization: req.user.org
+        }
+      });
+
+    } catch (error) {
+      logger.error('List organizations error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while listing organizations"
+      });
+    }
+  }
+
+  // Create an organization owned by the signed-in user
+  async create(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const { organization, membership } = await createOrganization(req, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Organization created successfully",
+        data: { organization: formatOrganization(organization, membership) }
+      });
+
+    } catch (error) {
+      logger.error('Create organization error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while creating organization"
+      });
+    }
+  }
+
+  // Get an organization the user belongs to
+  async get(req, res) {
+    try {
+      const { organization } = req.membership;
+      const memberCount = await Membership.countDocuments({ organization: organization._id });
+
+      res.status(200).json({
+        success: true,
+        message: "Organization retrieved successfully",
+        data: {
+          organization: {
+            ...formatOrganization(organization, req.membership),
+            memberCount
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get organization error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while fetching organization"
+      });
+    }
+  }
+
+  // Rename an organization
+  async update(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const { organization } = req.membership;
+      const previousName = organization.name;
+      organization.name = req.body.name;
+      await organization.save();
+
+      await recordAuditEvent(req, {
+        type: "org_updated",
+        details: { organization: String(organization._id), from: previousName, to: organization.name }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Organization updated successfully",
+        data: { organization: formatOrganization(organization, req.membership) }
+      });
+
+    } catch (error) {
+      logger.error('Update organization error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while updating organization"
+      });
+    }
+  }
+
+  // Make this organization the session's active one and issue an access token
+  // carrying it. Refreshes keep it until the user switches again
+  async switchOrganization(req, res) {
+    try {
+      // The active organization is stored on the session behind the refresh cookie
+      const current = await getSessionUser(req.cookies.refreshToken);
+      if (!current || !current.user._id.equals(req.user.id)) {
+        return res.status(401).json({
+          success: false,
+          message: "A signed-in session is required to switch organizations"
+        });
+      }
+
+      const { user, session } = current;
+      const { organization } = req.membership;
+      session.organization = organization._id;
+      await user.save();
+
+      // The old token carries the previous organization
+      if (req.token) {
+        await revokeAccessToken(req.token.jti, req.token.exp);
+      }
+      const accessToken = user.generateAccessToken({ org: String(organization._id) });
+
+      await recordAuditEvent(req, {
+        type: "org_switched",
+        details: { organization: String(organization._id), sessionId: String(session._id) }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Active organization switched successfully",
+        data: {
+          organization: formatOrganization(organization, req.membership),
+          accessToken
+        }
+      });
+
+    } catch (error) {
+      logger.error('Switch organization error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while switching organization"
+      });
+    }
+  }
+
+  // List an organization's members
+  async listMembers(req, res) {
+    try {
+      const memberships = await Membership.find({ organization: req.membership.organization._id })
+        .populate("user", "fullName email")
+        .sort({ createdAt: 1 });
+
+      res.status(200).json({
+        success: true,
+        message: "Members retrieved successfully",
+        data: { members: memberships.filter((membership) => membership.user).map(formatMember) }
+      });
+
+    } catch (error) {
+      logger.error('List members error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while listing members"
+      });
+    }
+  }
+
+  // Change a member's role
+  async updateMember(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const membership = await changeMemberRole(req, req.membership, req.params.userId, req.body.role);
+
+      res.status(200).json({
+        success: true,
+        message: "Member role updated successfully",
+        data: { member: formatMember(membership) }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Update member error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while updating member"
+      });
+    }
+  }
+
+  // Remove a member, or leave the organization
+  async removeMember(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      await removeMember(req, req.membership, req.params.userId);
+
+      res.status(200).json({
+        success: true,
+        message: "Member removed successfully"
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Remove member error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while removing member"
+      });
+    }
+  }
+
+  // Hand the organization to another member
+  async transferOwnership(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const membership = await transferOwnership(req, req.membership, req.body.userId);
+
+      res.status(200).json({
+        success: true,
+        message: "Ownership transferred successfully",
+        data: { owner: formatMember(membership) }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Transfer ownership error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while transferring ownership"
+      });
+    }
+  }
+
+  // List pending invitations
+  async listInvitations(req, res) {
+    try {
+      const invitations = await Invitation.find({
+        organization: req.membership.organization._id,
+        status: "pending",
+        expiresAt: { $gt: new Date() }
+      }).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        message: "Invitations retrieved successfully",
+        data: { invitations: invitations.map(formatInvitation) }
+      });
+
+    } catch (error) {
+      logger.error('List invitations error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while listing invitations"
+      });
+    }
+  }
+
+  // Email an invitation to join
+  async invite(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await inviteMember(req, req.membership, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Invitation sent successfully",
+        data: { invitation: formatInvitation(invitation) }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Invite member error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while sending invitation"
+      });
+    }
+  }
+
+  // Cancel a pending invitation
+  async revokeInvitation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      await revokeInvitation(req, req.membership.organization, req.params.invitationId);
+
+      res.status(200).json({
+        success: true,
+        message: "Invitation revoked successfully"
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Revoke invitation error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while revoking invitation"
+      });
+    }
+  }
+
+  // Join an organization with an emailed invitation token
+  async acceptInvitation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const { organization, membership } = await acceptInvitation(req, req.body.token);
+
+      res.status(200).json({
+        success: true,
+        message: "Invitation accepted",
+        data: { organization: formatOrganization(organization, membership) }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Accept invitation error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while accepting invitation"
+      });
+    }
+  }
+
+  // Decline an invitation; the token is enough
+  async declineInvitation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      await declineInvitation(req, req.body.token);
+
+      res.status(200).json({
+        success: true,
+        message: "Invitation declined"
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Decline invitation error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while declining invitation"
+      });
+    }
+  }
+}
+
+export default new OrgController();
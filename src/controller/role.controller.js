@@ -0,0 +1,154 @@
+import Role from "../model/role.model.js";
+import { validationResult } from "express-validator";
+import { AuthError } from "../services/auth.service.js";
+import { logger } from "../services/logger.service.js";
+import {
+  PERMISSIONS,
+  createRole,
+  deleteRole,
+  formatRole,
+  updateRole
+} from "../services/role.service.js";
+
+// Role and permission management for admins
+class RoleController {
+  // List every role with its effective (inherited) permissions
+  async list(req, res) {
+    try {
+      const roles = await Role.find().sort({ name: 1 });
+
+      res.status(200).json({
+        success: true,
+        message: "Roles retrieved successfully",
+        data: { roles: roles.map(formatRole) }
+      });
+
+    } catch (error) {
+      logger.error('List roles error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while listing roles"
+      });
+    }
+  }
+
+  // The permissions roles can grant
+  async listPermissions(req, res) {
+    res.status(200).json({
+      success: true,
+      message: "Permissions retrieved successfully",
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+      }
+    });
+  }
+
+  // Create a custom role
+  async create(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const role = await createRole(req, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Role created successfully",
+        data: { role: formatRole(role) }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Create role error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while creating role"
+      });
+    }
+  }
+
+  // Change a role's description, permissions or inherited roles
+  async update(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      const role = await updateRole(req, req.params.name, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: "Role updated successfully",
+        data: { role: formatRole(role) }
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Update role error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while updating role"
+      });
+    }
+  }
+
+  // Only unused custom roles can be deleted
+  async remove(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array()
+        });
+      }
+
+      await deleteRole(req, req.params.name);
+
+      res.status(200).json({
+        success: true,
+        message: "Role deleted successfully"
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Delete role error', { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while deleting role"
+      });
+    }
+  }
+}
+
+export default new RoleController();
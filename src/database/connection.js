@@ -1,5 +1,6 @@
 import mongoose, { set } from "mongoose";
 import { getDataBaseConfig, getConnectionUris } from "../config/database.js";
+import { logger, maskUri } from "../services/logger.service.js";
 
 let isConnected = false;
 let connectionsAttempt = 0;
@@ -17,12 +18,8 @@ const validateMongoUri = (uri) => {
 
 const getMongoUri = () => {
   const uriCandidates = getConnectionUris().filter(Boolean);
-  console.log("Available MongoDB URIs:", uriCandidates);
   for (const uri of uriCandidates) {
     if (validateMongoUri(uri)) {
-      // Mask credentials in logs
-      const maskedUri = uri.replace(/:\/\/([^:]+):([^@]+)@/, "://***:***@");
-      console.info(`Using MongoDB URI: ${maskedUri}`);
       return uri;
     }
   }
@@ -67,21 +64,20 @@ const setUpConenectionMonitoring = () => {
   connection.on("connected", () => {
     isConnected = true;
     connectionsAttempt = 0;
-    console.log("MongoDB connection established successfully");
+    logger.info("MongoDB connection established successfully");
   });
 
   connection.on("error", (error) => {
     isConnected = false;
-    console.error("MongoDB connection error:", {
-      error: error.message,
-      stack: error.stack,
+    logger.error("MongoDB connection error", {
+      error,
       attempts: connectionsAttempt,
     });
   });
 
   connection.on("disconnected", () => {
     isConnected = false;
-    console.warn("MongoDB connection disconnected");
+    logger.warn("MongoDB connection disconnected");
     if (!process.env.SHUTDOWN_INITIATED) {
       handleReconnection();
     }
@@ -89,50 +85,52 @@ const setUpConenectionMonitoring = () => {
 
   connection.on("reconnected", () => {
     isConnected = true;
-    console.log("MongoDB connection re-established");
+    logger.info("MongoDB connection re-established");
   });
 
   connection.on("fullsetup", () => {
-    console.info("MongoDB connection to all servers established");
+    logger.info("MongoDB connection to all servers established");
   });
   connection.on("timeout", () => {
-    console.warn("MongoDB connection timeout");
+    logger.warn("MongoDB connection timeout");
   });
 };
 
 const handleReconnection = async () => {
   if (connectionsAttempt >= MAX_RETRY_ATTEMPTS) {
-    console.error(
-      `Max retry attempts reached (${MAX_RETRY_ATTEMPTS}). Exiting...`
-    );
+    logger.error("Max MongoDB retry attempts reached, exiting", {
+      maxAttempts: MAX_RETRY_ATTEMPTS,
+    });
     process.exit(1);
   }
 
   connectionsAttempt++;
   const delay = RETRY_INTERVAL * Math.pow(2, connectionsAttempt - 1);
-  console.warn(
-    `Attempting to reconnect to MongoDB in ${delay}ms... (Attempt ${connectionsAttempt}/${MAX_RETRY_ATTEMPTS})`
-  );
+  logger.warn("Attempting to reconnect to MongoDB", {
+    delayMs: delay,
+    attempt: connectionsAttempt,
+    maxAttempts: MAX_RETRY_ATTEMPTS,
+  });
 
   setTimeout(async () => {
     try {
       await connectDB();
     } catch (error) {
-      console.error("Failed to reconnect to MongoDB:", error.message);
+      logger.error("Failed to reconnect to MongoDB", { error });
     }
   }, delay);
 };
 
 const gracefulShutdown = async () => {
   const shutdown = async (signal) => {
-    console.info(`Received ${signal}. Initiating graceful shutdown...`);
+    logger.info("Closing MongoDB connection", { signal });
     process.env.SHUTDOWN_INITIATED = true;
 
     try {
       await mongoose.connection.close();
-      console.info("MongoDB connection closed gracefully");
+      logger.info("MongoDB connection closed gracefully");
     } catch (error) {
-      console.error("Error during MongoDB shutdown:", error.message);
+      logger.error("Error during MongoDB shutdown", { error });
     } finally {
       process.exit(0);
     }
@@ -143,25 +141,19 @@ const gracefulShutdown = async () => {
   process.on("SIGQUIT", () => shutdown("SIGQUIT"));
 
   process.on("uncaughtException", (error) => {
-    console.error("Uncaught Exception:", {
-      message: error.message,
-      stack: error.stack,
-    });
+    logger.error("Uncaught exception", { error });
     shutdown("uncaughtException");
   });
 
-  process.on("unhandledRejection", (reason, promise) => {
-    console.error("Unhandled Rejection at:", {
-      promise: promise,
-      reason: reason,
-    });
+  process.on("unhandledRejection", (reason) => {
+    logger.error("Unhandled rejection", { reason });
     shutdown("unhandledRejection");
   });
 };
 
 const connectDB = async () => {
   if (isConnected || mongoose.connection.readyState === 1) {
-    console.log("MongoDB is already connected");
+    logger.debug("MongoDB is already connected");
     return mongoose.connection;
   }
 
@@ -169,29 +161,31 @@ const connectDB = async () => {
     const mongoUri = getMongoUri();
     const options = getConnectionOptions();
 
-    console.log("Connecting to MongoDB with options:", options);
+    logger.info("Connecting to MongoDB", { uri: maskUri(mongoUri) });
+    logger.debug("MongoDB connection options", { options });
     const conn = await mongoose.connect(mongoUri, options);
 
     const { host, port, name } = conn.connection;
-    console.info(`Connected to MongoDB at ${host}:${port}/${name}`);
+    logger.info("Connected to MongoDB", { host, port, database: name });
     return conn;
   } catch (error) {
     connectionsAttempt++;
-    console.error("MongoDB connection error:", {
-      message: error.message,
-      stack: error.stack,
+    logger.error("MongoDB connection error", {
+      error,
       attempts: connectionsAttempt,
       maxAttempts: MAX_RETRY_ATTEMPTS,
     });
 
     if (connectionsAttempt >= MAX_RETRY_ATTEMPTS) {
-      console.error("Maximum retry attempts reached. Exiting...");
+      logger.error("Maximum MongoDB retry attempts reached, exiting");
       process.exit(1);
     }
     const delay = RETRY_INTERVAL * Math.pow(2, connectionsAttempt - 1);
-    console.warn(
-      `Retrying connection in ${delay}ms... (Attempt ${connectionsAttempt}/${MAX_RETRY_ATTEMPTS})`
-    );
+    logger.warn("Retrying MongoDB connection", {
+      delayMs: delay,
+      attempt: connectionsAttempt,
+      maxAttempts: MAX_RETRY_ATTEMPTS,
+    });
 
     await new Promise((resolve) => setTimeout(resolve, delay));
     return connectDB();
@@ -214,20 +208,20 @@ const healthCheck = async () => {
     host: mongoose.connection.host,
     port: mongoose.connection.port,
     name: mongoose.connection.name,
-    uri: getMongoUri(),
+    uri: maskUri(getMongoUri()),
   };
 };
 
 const disconnectDB = async () => {
   try {
     if (mongoose.connection.readyState !== 0) {
-      console.log("🔌 Disconnecting from MongoDB...");
+      logger.info("Disconnecting from MongoDB");
       await mongoose.disconnect();
       isConnected = false;
-      console.log("✅ Database disconnected successfully");
+      logger.info("Database disconnected successfully");
     }
   } catch (error) {
-    console.error("❌ Error disconnecting from database:", error);
+    logger.error("Error disconnecting from database", { error });
     throw error;
   }
 };
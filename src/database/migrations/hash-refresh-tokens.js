@@ -0,0 +1,99 @@
+// One-off migration: replace raw refresh tokens with their SHA-256 digest.
+// Entries that can't be converted (missing/non-string token, already expired)
+// are dropped, which signs those sessions out.
+//
+// Usage: npm run migrate:refresh-tokens
+import jwt from "jsonwebtoken";
+import User from "../../model/user.model.js";
+import { connectDB, disconnectDB } from "../connection.js";
+
+const BATCH_SIZE = 500;
+
+const convertEntry = (entry, now) => {
+  if (entry.tokenHash) {
+    return entry;
+  }
+
+  if (typeof entry.token !== "string" || !entry.token) {
+    return null;
+  }
+
+  if (!entry.expiresAt || new Date(entry.expiresAt) <= now) {
+    return null;
+  }
+
+  const { token, ...rest } = entry;
+  return {
+    ...rest,
+    tokenHash: User.hashToken(token),
+    family: entry.family || jwt.decode(token)?.family
+  };
+};
+
+const migrate = async () => {
+  const collection = User.collection;
+  const now = new Date();
+  const stats = { users: 0, converted: 0, invalidated: 0 };
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0) {
+      await collection.bulkWrite(operations, { ordered: false });
+      operations = [];
+    }
+  };
+
+  // Read raw documents so the current schema doesn't strip the legacy field
+  const cursor = collection.find(
+    { "refreshTokens.token": { $exists: true } },
+    { projection: { refreshTokens: 1 } }
+  );
+
+  for await (const doc of cursor) {
+    const refreshTokens = [];
+
+    for (const entry of doc.refreshTokens || []) {
+      const converted = convertEntry(entry, now);
+      if (converted) {
+        refreshTokens.push(converted);
+        if (entry.token) stats.converted++;
+      } else {
+        stats.invalidated++;
+      }
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { refreshTokens } }
+      }
+    });
+    stats.users++;
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  // Drops the old plain-text index and builds the digest index
+  await User.syncIndexes();
+
+  return stats;
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+    const stats = await migrate();
+    console.log("✅ Refresh token migration completed:", stats);
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Refresh token migration failed:", error);
+    process.exit(1);
+  }
+};
+
+run();
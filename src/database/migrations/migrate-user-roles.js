@@ -0,0 +1,45 @@
+// One-off migration: replace each user's single "role" with a "roles" array.
+// Until it runs, legacy accounts still work (the model reads "role") but the
+// admin role filter and role deletion checks don't see them.
+//
+// Usage: npm run migrate:roles
+import User from "../../model/user.model.js";
+import roleStore from "../../services/role.service.js";
+import { connectDB, disconnectDB } from "../connection.js";
+
+const migrate = async () => {
+  // Seed user, moderator and admin, the only values "role" could hold
+  await roleStore.initialize();
+  roleStore.stop();
+
+  // Read raw documents so the current schema doesn't hide the legacy field
+  const result = await User.collection.updateMany(
+    { role: { $exists: true }, roles: { $exists: false } },
+    [{ $set: { roles: ["$role"] } }, { $unset: "role" }]
+  );
+
+  // Accounts that somehow have both keep their roles
+  const cleaned = await User.collection.updateMany(
+    { role: { $exists: true } },
+    { $unset: { role: "" } }
+  );
+
+  await User.syncIndexes();
+
+  return { converted: result.modifiedCount, cleaned: cleaned.modifiedCount };
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+    const stats = await migrate();
+    console.log("✅ Role migration completed:", stats);
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Role migration failed:", error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -1,12 +1,89 @@
-import jwt from 'jsonwebtoken';
 import User from '../model/user.model.js';
-import { config } from '../config/index.js';
+import keyStore from '../services/keys.service.js';
+import { isAccessTokenRevoked } from '../services/tokenDenylist.service.js';
+import { AUTH_USER_FIELDS, cacheUser, getCachedUser } from '../services/userCache.service.js';
+import { recordAuditEvent } from '../services/audit.service.js';
+import { logger, setRequestUser } from '../services/logger.service.js';
+import { recordApiKeyUse, resolveApiKey } from '../services/apiKey.service.js';
+import { API_KEY_PREFIX } from '../model/apiKey.model.js';
+import roleStore, { hasPermissions } from '../services/role.service.js';
 
-// Verify JWT token middleware
+// Look the user up through the Redis cache when it is available
+const loadUser = async (id) => {
+  const cached = await getCachedUser(id);
+  if (cached) return cached;
+
+  const user = (await User.findById(id).select(AUTH_USER_FIELDS))?.toObject();
+  if (user) await cacheUser(user);
+  return user;
+};
+
+// Rejected credentials and permissions go to the audit log
+const auditDenied = (req, type, reason, target) =>
+  recordAuditEvent(req, {
+    type,
+    outcome: 'failure',
+    target,
+    details: { reason, method: req.method, path: req.originalUrl }
+  });
+
+const API_KEY_ERRORS = {
+  API_KEY_INVALID: 'Invalid API key',
+  API_KEY_REVOKED: 'API key has been revoked',
+  API_KEY_EXPIRED: 'API key has expired'
+};
+
+// Authenticates a personal API key (gk_...) as its owner, limited to its scopes
+const authenticateApiKey = async (req, res, next, key) => {
+  const { apiKey, reason } = await resolveApiKey(key);
+  if (!apiKey) {
+    // Expiry is routine; unknown and revoked keys are not
+    if (reason !== 'API_KEY_EXPIRED') {
+      await auditDenied(req, 'authentication_failed', reason);
+    }
+    return res.status(401).json({
+      success: false,
+      message: API_KEY_ERRORS[reason]
+    });
+  }
+
+  const user = await loadUser(apiKey.user);
+  if (!user || !user.isActive) {
+    await auditDenied(req, 'authentication_failed', user ? 'ACCOUNT_DEACTIVATED' : 'USER_NOT_FOUND', apiKey.user);
+    return res.status(user ? 403 : 401).json({
+      success: false,
+      message: user ? 'Account is deactivated' : 'User not found'
+    });
+  }
+
+  req.user = {
+    id: user._id,
+    email: user.email,
+    roles: user.roles,
+    permissions: roleStore.permissionsFor(user.roles),
+    fullName: user.fullName,
+    isVerified: user.isVerified,
+    restricted: false,
+    org: null
+  };
+  req.apiKey = { id: apiKey._id, scopes: apiKey.scopes };
+  setRequestUser(user._id);
+  recordApiKeyUse(apiKey, req);
+
+  next();
+};
+
+// Verify JWT token middleware. Also accepts personal API keys, as
+// "Authorization: Bearer gk_..." or "X-API-Key: gk_..."
 export const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    // X-API-Key only counts when it holds one of our keys; gateways may set
+    // their own X-API-Key alongside a bearer token
+    const apiKey = req.get('x-api-key');
+    const token = apiKey?.startsWith(API_KEY_PREFIX)
+      ? apiKey
+      : authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
     if (!token) {
       return res.status(401).json({
@@ -15,19 +92,43 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, config.JWT_SECRET);
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return await authenticateApiKey(req, res, next, token);
+    }
+
+    const decoded = await keyStore.verify(token);
     
+    // Check single-token revocation (logout)
+    if (await isAccessTokenRevoked(decoded.jti)) {
+      await auditDenied(req, 'authentication_failed', 'TOKEN_REVOKED', decoded.id);
+      return res.status(401).json({
+        success: false,
+        message: 'Access token has been revoked'
+      });
+    }
+
     // Find user
-    const user = await User.findById(decoded.id);
+    const user = await loadUser(decoded.id);
     if (!user) {
+      await auditDenied(req, 'authentication_failed', 'USER_NOT_FOUND', decoded.id);
       return res.status(401).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    // Tokens issued before logout-all, a password change or a role change
+    if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+      await auditDenied(req, 'authentication_failed', 'TOKEN_VERSION_STALE', user._id);
+      return res.status(401).json({
+        success: false,
+        message: 'Access token has been revoked'
+      });
+    }
+
     // Check if user is active
     if (!user.isActive) {
+      await auditDenied(req, 'authentication_failed', 'ACCOUNT_DEACTIVATED', user._id);
       return res.status(403).json({
         success: false,
         message: 'Account is deactivated'
@@ -37,13 +138,21 @@ export const authenticateToken = async (req, res, next) => {
     req.user = {
       id: user._id,
       email: user.email,
-      role: user.role,
-      fullName: user.fullName
+      roles: user.roles,
+      permissions: roleStore.permissionsFor(user.roles),
+      fullName: user.fullName,
+      isVerified: user.isVerified,
+      // Restricted tokens are lifted as soon as the email is verified
+      restricted: !!decoded.restricted && !user.isVerified,
+      // Active organization; membership is checked by requireOrgMember
+      org: decoded.org || null
     };
+    req.token = { jti: decoded.jti, exp: decoded.exp };
+    setRequestUser(user._id);
 
     next();
   } catch (error) {
-    console.error('Token verification error:', error);
+    logger.error('Token verification error', { error });
     
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
@@ -52,7 +161,9 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
     
+    // Expiry is routine; a bad signature or malformed token is not
     if (error.name === 'JsonWebTokenError') {
+      await auditDenied(req, 'authentication_failed', 'INVALID_TOKEN');
       return res.status(401).json({
         success: false,
         message: 'Invalid access token'
@@ -77,16 +188,25 @@ export const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, config.JWT_SECRET);
-    const user = await User.findById(decoded.id);
+    const decoded = await keyStore.verify(token);
+    const user = await loadUser(decoded.id);
+    const isCurrent = user &&
+      (decoded.ver || 0) === (user.tokenVersion || 0) &&
+      !(await isAccessTokenRevoked(decoded.jti));
 
-    if (user && user.isActive) {
+    if (isCurrent && user.isActive) {
       req.user = {
         id: user._id,
         email: user.email,
-        role: user.role,
-        fullName: user.fullName
+        roles: user.roles,
+        permissions: roleStore.permissionsFor(user.roles),
+        fullName: user.fullName,
+        isVerified: user.isVerified,
+        restricted: !!decoded.restricted && !user.isVerified,
+        org: decoded.org || null
       };
+      req.token = { jti: decoded.jti, exp: decoded.exp };
+      setRequestUser(user._id);
     } else {
       req.user = null;
     }
@@ -98,9 +218,39 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
+// Role-based authorization middleware. A role that inherits one of roles counts
 export const authorize = (...roles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (req.user.restricted) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email verification required'
+      });
+    }
+
+    const effectiveRoles = roleStore.resolve(req.user.roles).roles;
+    if (!roles.some((role) => effectiveRoles.includes(role))) {
+      await auditDenied(req, 'authorization_denied', 'INSUFFICIENT_ROLE', req.user.id);
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    next();
+  };
+};
+
+// Permission-based authorization middleware; requires every listed permission
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -108,7 +258,15 @@ export const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (req.user.restricted) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email verification required'
+      });
+    }
+
+    if (!hasPermissions(req.user.permissions, permissions)) {
+      await auditDenied(req, 'authorization_denied', 'INSUFFICIENT_PERMISSION', req.user.id);
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions'
@@ -119,6 +277,59 @@ export const authorize = (...roles) => {
   };
 };
 
+// Requires every listed scope when the request is authenticated with an API key.
+// Signed-in users (access tokens) are not limited by scopes
+export const requireScope = (...scopes) => {
+  const middleware = async (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    const missing = scopes.filter((scope) => !req.apiKey.scopes.includes(scope));
+    if (missing.length) {
+      await auditDenied(req, 'authorization_denied', 'INSUFFICIENT_SCOPE', req.user.id);
+      return res.status(403).json({
+        success: false,
+        message: 'API key is missing required scope',
+        requiredScopes: scopes
+      });
+    }
+
+    next();
+  };
+  middleware.scopes = scopes;
+  return middleware;
+};
+
+// Refuses API keys, for routes that change credentials or issue tokens
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint requires signing in; API keys are not accepted'
+    });
+  }
+
+  next();
+};
+
+// Require a verified email address
+export const requireVerified = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Email verification required'
+    });
+  }
+
+  next();
+};
+
 // Admin only middleware
 export const adminOnly = authorize('admin');
 
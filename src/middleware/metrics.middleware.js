@@ -0,0 +1,26 @@
+import { httpRequestsTotal, httpRequestDuration } from "../services/metrics.service.js";
+
+// Route pattern (/api/admin/users/:id) rather than the raw path, so IDs and
+// probes for unknown URLs don't create a series each. Requests rejected before
+// reaching a route (e.g. by a rate limiter) fall back to the router prefix
+const getRouteLabel = (req, res) => {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  if (res.statusCode === 404) return "unmatched";
+  return req.baseUrl || "unmatched";
+};
+
+export const httpMetrics = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: getRouteLabel(req, res),
+      status: res.statusCode,
+    };
+    httpRequestsTotal.inc(labels);
+    stopTimer(labels);
+  });
+
+  next();
+};
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import Membership from '../model/membership.model.js';
+import { recordAuditEvent } from '../services/audit.service.js';
+import { logger } from '../services/logger.service.js';
+
+// Tenant-scoped authorization. Requires membership in the organization the
+// request operates on: the :orgId route parameter, or else the access token's
+// active organization. With a role, the membership must be at least that role
+// (owner > admin > member). Sets req.membership, with organization populated.
+// Runs after authenticateToken
+export const requireOrgMember = (role = 'member') => {
+  return async (req, res, next) => {
+    try {
+      const orgId = req.params.orgId || req.user?.org;
+      if (!orgId) {
+        return res.status(400).json({
+          success: false,
+          message: 'No active organization. Switch to one first'
+        });
+      }
+
+      // Unknown organizations look the same as ones the user isn't in
+      const membership = mongoose.isValidObjectId(orgId)
+        ? await Membership.findOne({ organization: orgId, user: req.user.id }).populate('organization')
+        : null;
+
+      if (!membership?.organization) {
+        await recordAuditEvent(req, {
+          type: 'authorization_denied',
+          outcome: 'failure',
+          target: req.user.id,
+          details: { reason: 'NOT_ORG_MEMBER', organization: String(orgId), method: req.method, path: req.originalUrl }
+        });
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this organization'
+        });
+      }
+
+      if (!membership.hasRole(role)) {
+        await recordAuditEvent(req, {
+          type: 'authorization_denied',
+          outcome: 'failure',
+          target: req.user.id,
+          details: { reason: 'INSUFFICIENT_ORG_ROLE', organization: String(orgId), method: req.method, path: req.originalUrl }
+        });
+        return res.status(403).json({
+          success: false,
+          message: `This action requires the organization ${role} role`
+        });
+      }
+
+      req.membership = membership;
+      next();
+    } catch (error) {
+      logger.error('Organization membership check error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error during authorization'
+      });
+    }
+  };
+};
@@ -0,0 +1,45 @@
+import rateLimit from "express-rate-limit";
+import storage from "../services/storage.service.js";
+import { rateLimitRejectionsTotal } from "../services/metrics.service.js";
+
+// express-rate-limit store backed by the shared storage, so limits hold
+// across instances when Redis is available
+class SharedRateLimitStore {
+  constructor(name) {
+    this.prefix = `ratelimit:${name}:`;
+    // Counters live outside the process whenever Redis is up
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { count, resetTime } = await storage.increment(this.prefix + key, this.windowMs);
+    return { totalHits: count, resetTime };
+  }
+
+  async decrement(key) {
+    await storage.decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await storage.delete(this.prefix + key);
+  }
+}
+
+// Each limiter needs its own name so their counters don't collide
+export const createRateLimiter = (name, options) =>
+  rateLimit({
+    ...options,
+    store: new SharedRateLimitStore(name),
+    // Same response as the default handler, counted per limiter
+    handler: async (req, res, next, limitOptions) => {
+      rateLimitRejectionsTotal.inc({ limiter: name });
+      const message = typeof limitOptions.message === "function"
+        ? await limitOptions.message(req, res)
+        : limitOptions.message;
+      res.status(limitOptions.statusCode).send(message);
+    },
+  });
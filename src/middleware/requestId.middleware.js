@@ -0,0 +1,15 @@
+import crypto from "crypto";
+import { requestContext } from "../services/logger.service.js";
+
+// Accept a caller's ID only if it looks like one, so logs can't be polluted
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Tags each request with a correlation ID, reusing X-Request-Id from an
+// upstream proxy when present, and echoes it back in the response. Log lines
+// written while handling the request pick it up automatically
+export const requestId = (req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  requestContext.run({ requestId: req.id }, next);
+};
@@ -0,0 +1,33 @@
+import { logger, redact } from "../services/logger.service.js";
+
+// Query parameters carrying one-time tokens must not end up in logs
+const redactUrl = (originalUrl) => {
+  const [path, query] = originalUrl.split("?");
+  if (!query) return path;
+
+  const params = Object.fromEntries(new URLSearchParams(query));
+  const redacted = Object.entries(redact(params)).map(([key, value]) => `${key}=${value}`);
+  return `${path}?${redacted.join("&")}`;
+};
+
+// One structured line per completed request
+export const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+
+    logger.log(level, "Request completed", {
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      contentLength: res.get("content-length"),
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+  });
+
+  next();
+};
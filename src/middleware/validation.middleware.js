@@ -1,4 +1,30 @@
-import { body } from 'express-validator';
+import { body, check, oneOf, param, query } from 'express-validator';
+import { API_KEY_SCOPES } from '../services/apiKey.service.js';
+import { ALL_PERMISSIONS, PERMISSIONS } from '../services/role.service.js';
+import { checkPasswordPolicy } from '../services/passwordPolicy.service.js';
+import { config } from '../config/index.js';
+
+// A password that meets the password policy (PASSWORD_* settings). The name and
+// email in the request, or the signed-in user's, count against its strength
+const passwordRules = (field, label) =>
+  body(field)
+    .isString()
+    .withMessage(`${label} is required`)
+    .bail()
+    .isLength({ min: config.PASSWORD_MIN_LENGTH, max: config.PASSWORD_MAX_LENGTH })
+    .withMessage(`${label} must be between ${config.PASSWORD_MIN_LENGTH} and ${config.PASSWORD_MAX_LENGTH} characters long`)
+    .bail()
+    .custom((value, { req }) => {
+      const problems = checkPasswordPolicy(value, [
+        req.body.fullName,
+        req.body.email,
+        req.user?.email
+      ]);
+      if (problems.length > 0) {
+        throw new Error(problems.join('. '));
+      }
+      return true;
+    });
 
 export const validateRegistration = [
   body('fullName')
@@ -13,11 +39,16 @@ export const validateRegistration = [
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
 
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+  passwordRules('password', 'Password'),
+
+  // Required when REGISTRATION_MODE=invite; checked by the controller
+  body('inviteCode')
+    .optional()
+    .isString()
+    .withMessage('Invite code must be a string')
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Invite code must be between 1 and 64 characters')
 ];
 
 export const validateLogin = [
@@ -43,11 +74,26 @@ export const validateNewPassword = [
     .notEmpty()
     .withMessage('Reset token is required'),
 
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+  passwordRules('password', 'Password')
+];
+
+export const validateEmailVerification = [
+  check('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+export const validateAccountUnlock = [
+  check('token')
+    .notEmpty()
+    .withMessage('Unlock token is required')
+];
+
+export const validateResendVerification = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
 ];
 
 export const validateChangePassword = [
@@ -55,11 +101,13 @@ export const validateChangePassword = [
     .notEmpty()
     .withMessage('Current password is required'),
 
-  body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+  passwordRules('newPassword', 'New password'),
+
+  body('revokeOtherSessions')
+    .optional()
+    .isBoolean()
+    .withMessage('revokeOtherSessions must be a boolean')
+    .toBoolean()
 ];
 
 export const validateProfileUpdate = [
@@ -71,6 +119,16 @@ export const validateProfileUpdate = [
     .matches(/^[a-zA-Z\s]+$/)
     .withMessage('Full name can only contain letters and spaces'),
 
+  body('profile')
+    .optional()
+    .isObject()
+    .withMessage('Profile must be an object'),
+
+  body('profile.avatar')
+    .optional({ values: 'null' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Avatar must be a valid http(s) URL'),
+
   body('profile.phone')
     .optional()
     .isMobilePhone()
@@ -81,6 +139,37 @@ export const validateProfileUpdate = [
     .isISO8601()
     .withMessage('Please provide a valid date of birth'),
 
+  body('profile.address')
+    .optional()
+    .isObject()
+    .withMessage('Address must be an object'),
+
+  body(['profile.address.street', 'profile.address.city', 'profile.address.state', 'profile.address.country'])
+    .optional()
+    .isString()
+    .withMessage('Address fields must be text')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Address fields must not exceed 100 characters'),
+
+  body('profile.address.zipCode')
+    .optional()
+    .isString()
+    .withMessage('Zip code must be text')
+    .trim()
+    .matches(/^[A-Za-z0-9][A-Za-z0-9\s-]{1,9}$/)
+    .withMessage('Please provide a valid zip code'),
+
+  body('profile.preferences.notifications')
+    .optional()
+    .isObject()
+    .withMessage('Notification preferences must be an object'),
+
+  body(['profile.preferences.notifications.email', 'profile.preferences.notifications.sms', 'profile.preferences.notifications.push'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Notification toggles must be true or false'),
+
   body('profile.preferences.language')
     .optional()
     .isIn(['en', 'es', 'fr', 'de', 'it', 'pt', 'zh', 'ja', 'ko', 'ar'])
@@ -91,3 +180,346 @@ export const validateProfileUpdate = [
     .isIn(['UTC', 'America/New_York', 'America/Los_Angeles', 'Europe/London', 'Europe/Paris', 'Asia/Tokyo', 'Asia/Shanghai'])
     .withMessage('Invalid timezone selection')
 ];
+
+export const validateUserId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+export const validateUserQuery = [
+  query('role')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Invalid role filter'),
+
+  query(['isActive', 'isVerified', 'locked'])
+    .optional()
+    .isBoolean()
+    .withMessage('Filter must be true or false')
+    .toBoolean(),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+export const validateRoleUpdate = [
+  ...validateUserId,
+
+  body('roles')
+    .isArray({ min: 1 })
+    .withMessage('roles must be a non-empty array'),
+
+  body('roles.*')
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each role must be a role name')
+];
+
+const GRANTABLE_PERMISSIONS = [...Object.keys(PERMISSIONS), ALL_PERMISSIONS];
+
+const roleFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+
+  body(['permissions', 'inherits'])
+    .optional()
+    .isArray()
+    .withMessage('Must be an array'),
+
+  body('permissions.*')
+    .isIn(GRANTABLE_PERMISSIONS)
+    .withMessage(`Permissions must be one of: ${GRANTABLE_PERMISSIONS.join(', ')}`),
+
+  body('inherits.*')
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each inherited role must be a role name')
+];
+
+export const validateRole = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,49}$/)
+    .withMessage('Role name must be 2-50 lowercase letters, digits, - or _'),
+
+  ...roleFields
+];
+
+export const validateRoleName = [
+  param('name')
+    .trim()
+    .toLowerCase()
+    .notEmpty()
+    .withMessage('Role name is required')
+];
+
+export const validateRoleChanges = [
+  ...validateRoleName,
+  ...roleFields
+];
+
+export const validateSessionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+export const validateSessionRevocation = [
+  query('except')
+    .optional()
+    .isIn(['current'])
+    .withMessage("except must be 'current'")
+];
+
+const mfaCodeOrRecoveryCode = oneOf(
+  [
+    body('code')
+      .matches(/^\d{6}$/),
+    body('recoveryCode')
+      .trim()
+      .matches(/^[a-f0-9]{5}-?[a-f0-9]{5}$/i)
+  ],
+  { message: 'Provide a 6-digit authentication code or a recovery code' }
+);
+
+export const validateMfaCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits')
+];
+
+export const validateMfaLogin = [
+  body('mfaToken')
+    .notEmpty()
+    .withMessage('MFA token is required'),
+
+  mfaCodeOrRecoveryCode
+];
+
+export const validateMfaDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  mfaCodeOrRecoveryCode
+];
+
+export const validateApiKey = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('API key name must be between 1 and 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('scopes must be a non-empty array'),
+
+  body('scopes.*')
+    .isIn(Object.keys(API_KEY_SCOPES))
+    .withMessage(`Scopes must be one of: ${Object.keys(API_KEY_SCOPES).join(', ')}`),
+
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+];
+
+export const validateApiKeyId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID')
+];
+
+export const validateUserApiKeyId = [
+  ...validateUserId,
+
+  param('keyId')
+    .isMongoId()
+    .withMessage('Invalid API key ID')
+];
+
+export const validateOrganization = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Organization name must be between 2 and 100 characters')
+];
+
+const orgMemberId = param('userId')
+  .isMongoId()
+  .withMessage('Invalid user ID');
+
+export const validateOrgMemberId = [orgMemberId];
+
+// Owners change only through ownership transfer
+export const validateOrgMemberRole = [
+  orgMemberId,
+
+  body('role')
+    .isIn(['member', 'admin'])
+    .withMessage('Role must be one of: member, admin')
+];
+
+export const validateOwnershipTransfer = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+export const validateOrgInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('role')
+    .default('member')
+    .isIn(['member', 'admin'])
+    .withMessage('Role must be one of: member, admin')
+];
+
+export const validateOrgInvitationId = [
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID')
+];
+
+export const validateInvitationToken = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required')
+];
+
+export const validateOAuthClient = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Client name must be between 2 and 100 characters'),
+
+  body('redirectUris')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('redirectUris must be a non-empty array'),
+
+  body('redirectUris.*')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Each redirect URI must be an absolute http(s) URL'),
+
+  body('allowedScopes')
+    .optional()
+    .isArray()
+    .withMessage('allowedScopes must be an array'),
+
+  body('allowedScopes.*')
+    .isIn(['openid', 'profile', 'email', 'offline_access'])
+    .withMessage('Unsupported scope'),
+
+  body('isConfidential')
+    .optional()
+    .isBoolean()
+    .withMessage('isConfidential must be a boolean')
+    .toBoolean()
+];
+
+export const validateOAuthClientId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid client ID')
+];
+
+export const validateInviteCode = [
+  body('maxUses')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('maxUses must be between 1 and 10000')
+    .toInt(),
+
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+];
+
+export const validateInviteCodeId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invite code ID')
+];
+
+export const validateAuditQuery = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  query('type')
+    .optional()
+    .matches(/^[a-z_]+(,[a-z_]+)*$/)
+    .withMessage('Type must be an event type or a comma-separated list of them'),
+
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('Outcome must be success or failure'),
+
+  query('correlationId')
+    .optional()
+    .isLength({ max: 128 })
+    .withMessage('Correlation ID must not exceed 128 characters'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601')
+    .toDate(),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+export const validateAuditExport = [
+  ...validateAuditQuery,
+
+  query('format')
+    .optional()
+    .isIn(['jsonl', 'csv'])
+    .withMessage('Format must be jsonl or csv')
+];
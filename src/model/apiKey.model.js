@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Raw keys look like gk_<43 base64url chars>; the prefix lets authenticateToken
+// tell them apart from JWTs and makes leaked keys easy to scan for
+export const API_KEY_PREFIX = "gk_";
+
+// Characters of the raw key kept in clear so users can tell keys apart
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [100, "API key name must not exceed 100 characters"],
+    },
+    // e.g. "gk_Ab3dE9xQ", shown in listings
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 digest; the raw key is shown once and never stored
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+    // The user themselves, or the admin who issued it on their behalf
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.keyHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+apiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Creates the raw key; it is returned once and only its hash is kept
+apiKeySchema.methods.generateKey = function () {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  this.prefix = key.slice(0, DISPLAY_PREFIX_LENGTH);
+  this.keyHash = hashApiKey(key);
+  return key;
+};
+
+apiKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: hashApiKey(key) });
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+export default ApiKey;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// Append-only record of security-relevant activity, kept for compliance
+const auditEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+  },
+  outcome: {
+    type: String,
+    enum: ["success", "failure"],
+    required: true,
+  },
+  // Who did it (null for anonymous requests)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  // Whose account it concerns
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  ip: String,
+  userAgent: String,
+  correlationId: String,
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set from AUDIT_LOG_RETENTION when the event is written
+  expiresAt: Date,
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ target: 1, createdAt: -1 });
+auditEventSchema.index({ type: 1, createdAt: -1 });
+auditEventSchema.index({ correlationId: 1 });
+
+// MongoDB removes events once their retention ends
+auditEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+export default AuditEvent;
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+// Short-lived, single-use OAuth authorization code
+const authorizationCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  clientId: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  redirectUri: {
+    type: String,
+    required: true,
+  },
+  scope: {
+    type: String,
+    required: true,
+  },
+  codeChallenge: {
+    type: String,
+    required: true,
+  },
+  nonce: String,
+  authTime: Date,
+  used: {
+    type: Boolean,
+    default: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB removes codes once they expire
+authorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Stores a new code and returns its raw value
+authorizationCodeSchema.statics.issue = async function (fields, lifetimeMs) {
+  const code = crypto.randomBytes(32).toString("base64url");
+  await this.create({
+    ...fields,
+    codeHash: hashCode(code),
+    expiresAt: new Date(Date.now() + lifetimeMs),
+  });
+  return code;
+};
+
+// Atomically marks a code as used so it can only be redeemed once
+authorizationCodeSchema.statics.redeem = function (code) {
+  return this.findOneAndUpdate(
+    { codeHash: hashCode(code), used: false, expiresAt: { $gt: new Date() } },
+    { $set: { used: true } },
+    { new: true }
+  );
+};
+
+const AuthorizationCode = mongoose.model("AuthorizationCode", authorizationCodeSchema);
+export default AuthorizationCode;
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { config } from "../config/index.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Emailed invitation to join an organization; accepted by the account with that email
+const invitationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Owners are made by transfer, never by invitation
+    role: {
+      type: String,
+      enum: ["member", "admin"],
+      default: "member",
+    },
+    // SHA-256 digest of the emailed token
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "revoked"],
+      default: "pending",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.tokenHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ organization: 1, email: 1, status: 1 });
+
+// Sets a new token and expiry (not saved); returns the raw token for the email
+invitationSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(Date.now() + config.ORG_INVITATION_EXPIRES);
+  return token;
+};
+
+invitationSchema.statics.findPendingByToken = function (token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+export default Invitation;
@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Unambiguous characters, so codes can be read out or typed by hand
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 12;
+
+// "abcd-efgh-jkmn" and "ABCDEFGHJKMN" are the same code
+const normalizeCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+export const hashInviteCode = (code) =>
+  crypto.createHash("sha256").update(normalizeCode(code)).digest("hex");
+
+// Admin-issued code that lets someone register when REGISTRATION_MODE=invite
+const inviteCodeSchema = new mongoose.Schema(
+  {
+    // SHA-256 digest of the normalized code; the code is shown once
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the code, shown in listings
+    prefix: {
+      type: String,
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Note must not exceed 200 characters"],
+    },
+    maxUses: {
+      type: Number,
+      default: 1,
+      min: [1, "maxUses must be at least 1"],
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    redeemedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.codeHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+inviteCodeSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date() && this.uses < this.maxUses;
+});
+
+// Creates the code, formatted XXXX-XXXX-XXXX; only its hash is kept
+inviteCodeSchema.methods.generateCode = function () {
+  const chars = Array.from(
+    crypto.randomBytes(CODE_LENGTH),
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  ).join("");
+  const code = chars.match(/.{4}/g).join("-");
+
+  this.prefix = chars.slice(0, 4);
+  this.codeHash = hashInviteCode(code);
+  return code;
+};
+
+// Claims one use of a code atomically; returns null if it can't be used
+inviteCodeSchema.statics.redeem = function (code) {
+  return this.findOneAndUpdate(
+    {
+      codeHash: hashInviteCode(code),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ["$uses", "$maxUses"] },
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+const InviteCode = mongoose.model("InviteCode", inviteCodeSchema);
+export default InviteCode;
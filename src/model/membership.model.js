@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// Per-organization roles, lowest first; each includes what the ones before it allow.
+// Every organization has exactly one owner
+export const ORG_ROLES = ["member", "admin", "owner"];
+
+const membershipSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ORG_ROLES,
+      default: "member",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+membershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+membershipSchema.index({ user: 1 });
+
+// Whether this membership's role is at least role
+membershipSchema.methods.hasRole = function (role) {
+  return ORG_ROLES.indexOf(this.role) >= ORG_ROLES.indexOf(role);
+};
+
+const Membership = mongoose.model("Membership", membershipSchema);
+export default Membership;
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const oauthClientSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // SHA-256 digest; public clients (SPAs, mobile apps) have none
+    clientSecretHash: {
+      type: String,
+      select: false,
+    },
+    name: {
+      type: String,
+      required: [true, "Client name is required"],
+      trim: true,
+      maxlength: [100, "Client name must not exceed 100 characters"],
+    },
+    redirectUris: {
+      type: [String],
+      validate: {
+        validator: (uris) => uris.length > 0,
+        message: "At least one redirect URI is required",
+      },
+    },
+    allowedScopes: {
+      type: [String],
+      default: ["openid", "profile", "email", "offline_access"],
+    },
+    isConfidential: {
+      type: Boolean,
+      default: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.clientSecretHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+// Creates a new secret; the raw value is returned once and never stored
+oauthClientSchema.methods.generateClientSecret = function () {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  this.clientSecretHash = hashSecret(secret);
+  return secret;
+};
+
+oauthClientSchema.methods.verifyClientSecret = function (secret) {
+  if (!this.clientSecretHash || typeof secret !== "string") return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashSecret(secret)),
+    Buffer.from(this.clientSecretHash)
+  );
+};
+
+oauthClientSchema.statics.findActiveByClientId = function (clientId) {
+  return this.findOne({ clientId, isActive: true }).select("+clientSecretHash");
+};
+
+const OAuthClient = mongoose.model("OAuthClient", oauthClientSchema);
+export default OAuthClient;
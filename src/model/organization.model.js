@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// A tenant. Who belongs to it, and with which role, lives in Membership
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      minlength: [2, "Organization name must be at least 2 characters long"],
+      maxlength: [100, "Organization name must not exceed 100 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+const Organization = mongoose.model("Organization", organizationSchema);
+export default Organization;
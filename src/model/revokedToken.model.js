@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Denylisted access token IDs (jti), kept only until the token would expire
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB removes entries once the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+export default RevokedToken;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// A named set of permissions. Roles can inherit other roles' permissions, and
+// users can hold several roles
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]{1,49}$/, "Role name must be 2-50 lowercase letters, digits, - or _"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description must not exceed 200 characters"],
+    },
+    // Permission names from PERMISSIONS, or "*" for all of them
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // Names of roles whose permissions this role also grants
+    inherits: {
+      type: [String],
+      default: [],
+    },
+    // Seeded defaults (user, moderator, admin) can't be deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+const Role = mongoose.model("Role", roleSchema);
+export default Role;
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// JWT signing key pair used when JWT_KEY_STORE=mongo
+const signingKeySchema = new mongoose.Schema(
+  {
+    kid: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    alg: {
+      type: String,
+      enum: ["RS256", "ES256"],
+      required: true,
+    },
+    publicKey: {
+      type: String,
+      required: true,
+    },
+    privateKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // active: signs new tokens; retired: only verifies outstanding ones
+    status: {
+      type: String,
+      enum: ["active", "retired"],
+      default: "active",
+    },
+    retiredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+signingKeySchema.index({ status: 1, createdAt: -1 });
+
+const SigningKey = mongoose.model("SigningKey", signingKeySchema);
+export default SigningKey;
@@ -1,8 +1,18 @@
 import mongoose from "mongoose";
-import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import { config } from "../config/index.js";
+import keyStore from "../services/keys.service.js";
+import { invalidateCachedUser } from "../services/userCache.service.js";
+import { hashPassword, verifyPassword } from "../services/passwordHasher.service.js";
+import {
+  decryptSecret,
+  hashRecoveryCode,
+  verifyTotp,
+} from "../services/totp.service.js";
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema(
   {
@@ -27,14 +37,33 @@ const userSchema = new mongoose.Schema(
     password: {
       type: String,
       required: [true, "Password is required"],
-      minlength: [8, "Password must be at least 8 characters long"],
+      minlength: [
+        config.PASSWORD_MIN_LENGTH,
+        `Password must be at least ${config.PASSWORD_MIN_LENGTH} characters long`,
+      ],
       select: false, // Don't include in queries by default
     },
+    // When the password was last set; PASSWORD_MAX_AGE counts from here
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Hashes of the most recent passwords, newest first and including the
+    // current one, so they can't be reused (PASSWORD_HISTORY_SIZE)
+    passwordHistory: {
+      type: [
+        {
+          _id: false,
+          hash: { type: String, required: true },
+          changedAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
     // Enhanced fields for better user management
-    role: {
-      type: String,
-      enum: ["user", "admin", "moderator"],
-      default: "user",
+    // Role names from the roles collection; permissions come from their definitions
+    roles: {
+      type: [String],
+      default: () => ["user"],
     },
     isActive: {
       type: Boolean,
@@ -48,6 +77,10 @@ const userSchema = new mongoose.Schema(
       type: String,
       select: false,
     },
+    verificationExpire: {
+      type: Date,
+      select: false,
+    },
     resetPasswordToken: {
       type: String,
       select: false,
@@ -66,22 +99,111 @@ const userSchema = new mongoose.Schema(
     lockUntil: {
       type: Date,
     },
+    // Consecutive lockouts; each one doubles the next lock duration
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    unlockToken: {
+      type: String,
+      select: false,
+    },
+    unlockExpire: {
+      type: Date,
+      select: false,
+    },
+    // Embedded in access tokens; bumping it invalidates every issued token
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
     refreshTokens: [
       {
-        token: {
+        // SHA-256 digest of the refresh JWT; the raw token is never stored
+        tokenHash: {
           type: String,
           required: true,
         },
+        // Every token rotated from the same login shares a family
+        family: {
+          type: String,
+        },
+        // OAuth client and scope for sessions issued through /oauth/token
+        clientId: String,
+        scope: String,
+        // Active organization, set by POST /api/orgs/:orgId/switch
+        organization: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Organization",
+        },
+        // Client details for session management
+        userAgent: String,
+        device: String,
+        browser: String,
+        os: String,
+        ip: String,
         createdAt: {
           type: Date,
           default: Date.now,
         },
+        lastUsedAt: {
+          type: Date,
+          default: Date.now,
+        },
         expiresAt: {
           type: Date,
           required: true,
         },
       },
     ],
+    // TOTP multi-factor authentication
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Encrypted base32 secrets
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 digests of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step, to block replays
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Recent security events (most recent last, capped)
+    securityEvents: [
+      {
+        type: {
+          type: String,
+          required: true,
+        },
+        ip: String,
+        userAgent: String,
+        details: mongoose.Schema.Types.Mixed,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     // Profile fields (can be extended)
     profile: {
       avatar: {
@@ -133,10 +255,21 @@ const userSchema = new mongoose.Schema(
     toJSON: {
       transform: function (doc, ret) {
         delete ret.password;
+        delete ret.passwordHistory;
         delete ret.verificationToken;
+        delete ret.verificationExpire;
         delete ret.resetPasswordToken;
         delete ret.resetPasswordExpire;
+        delete ret.unlockToken;
+        delete ret.unlockExpire;
         delete ret.refreshTokens;
+        delete ret.securityEvents;
+        if (ret.mfa) {
+          delete ret.mfa.secret;
+          delete ret.mfa.pendingSecret;
+          delete ret.mfa.recoveryCodes;
+          delete ret.mfa.lastUsedStep;
+        }
         delete ret.__v;
         return ret;
       },
@@ -146,32 +279,50 @@ const userSchema = new mongoose.Schema(
 
 // Enhanced methods for better functionality
 userSchema.methods.comparePassword = async function (candidatePassword) {
-  return await bcrypt.compare(candidatePassword, this.password);
+  return await verifyPassword(candidatePassword, this.password);
 };
 
-// Account lockout functionality
-userSchema.methods.incLoginAttempts = function() {
-  // If we have a previous lock that has expired, restart at 1
-  if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
-      $unset: { lockUntil: 1 },
-      $set: { loginAttempts: 1 }
-    });
-  }
-  
-  const updates = { $inc: { loginAttempts: 1 } };
-  
-  // Lock account after 5 failed attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5 && !this.lockUntil) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
+// Replaces the stored hash of a just-verified password with one made by the
+// current algorithm and parameters. This isn't a password change: the history
+// entry for the current password gets the new hash rather than a new entry, and
+// passwordChangedAt, tokens and sessions are left alone. Does nothing if the
+// password was changed in the meantime
+userSchema.methods.upgradePasswordHash = async function (candidatePassword) {
+  const hash = await hashPassword(candidatePassword);
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, password: this.password },
+    { $set: { password: hash } }
+  );
+  if (modifiedCount === 0) return false;
+
+  // A separate update, as accounts without a history (made before it was kept,
+  // or with PASSWORD_HISTORY_SIZE=0) would fail one with a positional path.
+  // This one simply matches nothing for them
+  await this.constructor.updateOne(
+    { _id: this._id, "passwordHistory.hash": this.password },
+    { $set: { "passwordHistory.$.hash": hash } }
+  );
+  return true;
+};
+
+// Whether the candidate matches the current password or one of the last
+// `limit` in the history; needs password and passwordHistory selected
+userSchema.methods.isPreviousPassword = async function (candidatePassword, limit) {
+  const hashes = [
+    ...new Set([this.password, ...(this.passwordHistory || []).map((entry) => entry.hash)]),
+  ]
+    .filter(Boolean)
+    .slice(0, limit);
+  for (const hash of hashes) {
+    if (await verifyPassword(candidatePassword, hash)) return true;
   }
-  
-  return this.updateOne(updates);
+  return false;
 };
 
+// Account lockout: failures are counted by the lockout service
 userSchema.methods.resetLoginAttempts = function() {
   return this.updateOne({
-    $unset: { loginAttempts: 1, lockUntil: 1 }
+    $unset: { loginAttempts: 1, lockUntil: 1, lockCount: 1, lastFailedLoginAt: 1 }
   });
 };
 
@@ -180,39 +331,119 @@ userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Sessions stored before refresh tokens were hashed hold the raw token. Convert
+// them the way npm run migrate:refresh-tokens does, so saving a user who
+// hasn't been migrated yet neither fails validation nor signs them out.
+// Entries with no token or already expired are dropped, as the migration does
+userSchema.pre("validate", function (next) {
+  if (!this.refreshTokens?.some((entry) => !entry.tokenHash)) return next();
+
+  const now = new Date();
+  // Reassigning casts through the schema, which leaves the raw token out
+  this.refreshTokens = this.refreshTokens.flatMap((entry) => {
+    if (entry.tokenHash) return [entry];
+
+    const token = entry.get("token");
+    if (typeof token !== "string" || !token || !(entry.expiresAt > now)) return [];
+
+    const { token: _legacy, ...rest } = entry.toObject();
+    return [{
+      ...rest,
+      tokenHash: hashToken(token),
+      family: entry.family || jwt.decode(token)?.family,
+    }];
+  });
+  next();
+});
+
+// Accounts saved before multiple roles had a single "role"; treat it as the
+// only role until npm run migrate:roles converts them
+userSchema.pre("init", function (doc) {
+  if (doc.roles === undefined && doc.role) {
+    doc.roles = [doc.role];
+  }
+});
+
 // Password hashing middleware
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   try {
-    const salt = await bcrypt.genSalt(config.BCRYPT_ROUNDS || 12);
-    this.password = await bcrypt.hash(this.password, salt);
+    this.password = await hashPassword(this.password);
+    this.passwordChangedAt = new Date();
+    this.$locals.passwordChanged = true;
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Add the new hash to the password history. $push keeps history that wasn't
+// selected when the user was loaded
+userSchema.post("save", async function () {
+  if (!this.$locals.passwordChanged) return;
+  this.$locals.passwordChanged = false;
+
+  if (config.PASSWORD_HISTORY_SIZE > 0) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $push: {
+          passwordHistory: {
+            $each: [{ hash: this.password, changedAt: this.passwordChangedAt }],
+            $position: 0,
+            $slice: config.PASSWORD_HISTORY_SIZE,
+          },
+        },
+      }
+    );
+  }
+});
+
+// Drop the cached auth lookup so role, status and token version changes apply at once
+userSchema.post("save", async function () {
+  await invalidateCachedUser(this._id);
+});
+
+userSchema.post("findOneAndUpdate", async function (doc) {
+  if (doc) await invalidateCachedUser(doc._id);
+});
+
 // Generate tokens
-userSchema.methods.generateAccessToken = function () {
-  return jwt.sign(
+userSchema.methods.generateAccessToken = function (claims = {}, options = {}) {
+  // Signed with the configured algorithm, issuer and audience
+  return keyStore.sign(
     {
+      ...claims,
       id: this._id,
       email: this.email,
       displayName: this.fullName,
-      role: this.role,
+      roles: this.roles,
+      ver: this.tokenVersion || 0,
+      ...(config.UNVERIFIED_LOGIN_MODE === "restrict" &&
+        !this.isVerified && { restricted: true }),
     },
-    config.JWT_SECRET,
     {
       expiresIn: config.JWT_EXPIRES_IN,
+      jwtid: crypto.randomUUID(),
+      ...options,
     }
   );
 };
 
-userSchema.methods.generateRefreshToken = function () {
+// Invalidate every access token issued so far (not saved)
+userSchema.methods.revokeAccessTokens = function() {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+  return this;
+};
+
+// Starts a new token family unless one is passed in (rotation)
+userSchema.methods.generateRefreshToken = function (family = crypto.randomUUID()) {
   return jwt.sign(
     {
       id: this._id,
       tokenType: "refresh",
+      family,
+      jti: crypto.randomUUID(),
     },
     config.JWT_REFRESH_SECRET,
     {
@@ -222,25 +453,95 @@ userSchema.methods.generateRefreshToken = function () {
 };
 
 // Token management
-userSchema.methods.addRefreshToken = function(token) {
+const refreshTokenExpiry = () => {
   const expiresAt = new Date();
   expiresAt.setDate(expiresAt.getDate() + 7); // 7 days from now
-  
+  return expiresAt;
+};
+
+// Whether another session may start under the configured session cap
+userSchema.methods.hasSessionCapacity = function() {
+  if (config.SESSION_LIMIT_POLICY !== "reject") return true;
+
+  const now = new Date();
+  const active = this.refreshTokens.filter(t => t.expiresAt > now);
+  return active.length < config.MAX_SESSIONS_PER_USER;
+};
+
+userSchema.methods.addRefreshToken = function(token, metadata = {}) {
+  const now = new Date();
+  this.refreshTokens = this.refreshTokens.filter(t => t.expiresAt > now);
+
   this.refreshTokens.push({
-    token,
-    expiresAt
+    ...metadata,
+    tokenHash: hashToken(token),
+    family: jwt.decode(token)?.family,
+    expiresAt: refreshTokenExpiry()
   });
-  
-  // Keep only last 5 refresh tokens
-  if (this.refreshTokens.length > 5) {
-    this.refreshTokens = this.refreshTokens.slice(-5);
+
+  // Over the cap: evict the least recently used sessions
+  if (this.refreshTokens.length > config.MAX_SESSIONS_PER_USER) {
+    const byLastUse = [...this.refreshTokens].sort(
+      (a, b) => (a.lastUsedAt || a.createdAt) - (b.lastUsedAt || b.createdAt)
+    );
+    const evicted = new Set(
+      byLastUse
+        .slice(0, this.refreshTokens.length - config.MAX_SESSIONS_PER_USER)
+        .map(t => String(t._id))
+    );
+    this.refreshTokens = this.refreshTokens.filter(t => !evicted.has(String(t._id)));
+  }
+
+  return this.save();
+};
+
+// Swap in a rotated token while keeping the same session entry
+userSchema.methods.rotateRefreshToken = function(oldToken, newToken, metadata = {}) {
+  const session = this.findSession(oldToken);
+  if (!session) {
+    return this.addRefreshToken(newToken, metadata);
   }
-  
+
+  session.tokenHash = hashToken(newToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshTokenExpiry();
+  if (metadata.ip) session.ip = metadata.ip;
+
+  return this.save();
+};
+
+userSchema.methods.findSession = function(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  return this.refreshTokens.find(t => t.tokenHash === tokenHash) || null;
+};
+
+// Revoke one session by id
+userSchema.methods.revokeSession = function(sessionId) {
+  this.refreshTokens = this.refreshTokens.filter(t => String(t._id) !== String(sessionId));
   return this.save();
 };
 
+userSchema.methods.hasRefreshToken = function(token) {
+  return !!this.findSession(token);
+};
+
 userSchema.methods.removeRefreshToken = function(token) {
-  this.refreshTokens = this.refreshTokens.filter(t => t.token !== token);
+  const tokenHash = hashToken(token);
+  this.refreshTokens = this.refreshTokens.filter(t => t.tokenHash !== tokenHash);
+  return this.save();
+};
+
+// Drop every session except the one holding this token (not saved)
+userSchema.methods.retainOnlyRefreshToken = function(token) {
+  const tokenHash = token ? hashToken(token) : null;
+  this.refreshTokens = this.refreshTokens.filter(t => t.tokenHash === tokenHash);
+  return this;
+};
+
+// Revoke every token descended from the same login
+userSchema.methods.revokeTokenFamily = function(family) {
+  this.refreshTokens = this.refreshTokens.filter(t => t.family !== family);
   return this.save();
 };
 
@@ -253,17 +554,56 @@ userSchema.methods.clearAllRefreshTokens = function() {
 userSchema.methods.generatePasswordReset = function() {
   const resetToken = crypto.randomBytes(32).toString('hex');
   this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+  this.resetPasswordExpire = Date.now() + config.PASSWORD_RESET_EXPIRES;
   return resetToken;
 };
 
+// Self-service unlock link for a locked account (not saved)
+userSchema.methods.generateAccountUnlock = function() {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  this.unlockToken = crypto.createHash('sha256').update(unlockToken).digest('hex');
+  this.unlockExpire = Date.now() + config.ACCOUNT_UNLOCK_EXPIRES;
+  return unlockToken;
+};
+
 // Email verification
 userSchema.methods.generateEmailVerification = function() {
   const verifyToken = crypto.randomBytes(32).toString('hex');
   this.verificationToken = crypto.createHash('sha256').update(verifyToken).digest('hex');
+  this.verificationExpire = Date.now() + config.EMAIL_VERIFICATION_EXPIRES;
   return verifyToken;
 };
 
+// Check a TOTP or recovery code; returns "totp", "recovery" or null.
+// Requires MFA_SECRET_FIELDS to be selected. Changes are not saved.
+userSchema.methods.verifyMfaCode = function({ code, recoveryCode } = {}) {
+  if (!this.mfa?.enabled || !this.mfa.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(
+      decryptSecret(this.mfa.secret),
+      code,
+      this.mfa.lastUsedStep ?? -1
+    );
+    if (step === null) return null;
+
+    this.mfa.lastUsedStep = step;
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const digest = hashRecoveryCode(recoveryCode);
+    const codes = this.mfa.recoveryCodes || [];
+    if (!codes.includes(digest)) return null;
+
+    // Single use
+    this.mfa.recoveryCodes = codes.filter(c => c !== digest);
+    return "recovery";
+  }
+
+  return null;
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
@@ -286,7 +626,16 @@ userSchema.statics.findByResetToken = function(token) {
 userSchema.statics.findByVerificationToken = function(token) {
   const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
   return this.findOne({
-    verificationToken: hashedToken
+    verificationToken: hashedToken,
+    verificationExpire: { $gt: Date.now() }
+  });
+};
+
+userSchema.statics.findByUnlockToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOne({
+    unlockToken: hashedToken,
+    unlockExpire: { $gt: Date.now() }
   });
 };
 
@@ -300,8 +649,16 @@ userSchema.methods.cleanupExpiredTokens = function() {
 // Indexes for better performance (email already has unique index)
 userSchema.index({ resetPasswordToken: 1 });
 userSchema.index({ verificationToken: 1 });
-userSchema.index({ 'refreshTokens.token': 1 });
+userSchema.index({ unlockToken: 1 });
+userSchema.index({ 'refreshTokens.tokenHash': 1 });
 userSchema.index({ createdAt: 1 });
+userSchema.index({ roles: 1 });
+
+userSchema.statics.hashToken = hashToken;
+
+// Fields hidden by default that MFA checks need
+export const MFA_SECRET_FIELDS =
+  "+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep";
 
 const User = mongoose.model("User", userSchema);
 export default User;
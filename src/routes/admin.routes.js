@@ -0,0 +1,75 @@
+import express from "express";
+import adminController from "../controller/admin.controller.js";
+import roleController from "../controller/role.controller.js";
+import {
+  authenticateToken,
+  requirePermission,
+  requireScope,
+  requireSession
+} from "../middleware/auth.middleware.js";
+import {
+  validateUserId,
+  validateUserQuery,
+  validateRoleUpdate,
+  validateRole,
+  validateRoleName,
+  validateRoleChanges,
+  validateOAuthClient,
+  validateOAuthClientId,
+  validateInviteCode,
+  validateInviteCodeId,
+  validateAuditQuery,
+  validateAuditExport,
+  validateApiKey,
+  validateUserApiKeyId
+} from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// Every admin route requires an authenticated user; API keys need admin scopes
+router.use(authenticateToken);
+
+const adminRead = requireScope("admin:read");
+const adminWrite = requireScope("admin:write");
+
+// User accounts
+router.get("/users", requirePermission("users:read"), adminRead, validateUserQuery, adminController.listUsers);
+router.get("/users/:id", requirePermission("users:read"), adminRead, validateUserId, adminController.getUser);
+router.put("/users/:id/roles", requirePermission("roles:write"), adminWrite, validateRoleUpdate, adminController.updateRoles);
+router.post("/users/:id/deactivate", requirePermission("users:write"), adminWrite, validateUserId, adminController.deactivateUser);
+router.post("/users/:id/reactivate", requirePermission("users:write"), adminWrite, validateUserId, adminController.reactivateUser);
+router.post("/users/:id/unlock", requirePermission("users:write"), adminWrite, validateUserId, adminController.unlockUser);
+router.post("/users/:id/logout", requirePermission("users:write"), adminWrite, validateUserId, adminController.forceLogout);
+router.post("/users/:id/password-reset", requirePermission("users:write"), adminWrite, validateUserId, adminController.triggerPasswordReset);
+
+// API keys issued to users; only a signed-in admin can mint or revoke them
+router.get("/users/:id/api-keys", requirePermission("api-keys:read"), adminRead, validateUserId, adminController.listUserApiKeys);
+router.post("/users/:id/api-keys", requirePermission("api-keys:write"), requireSession, validateUserId, validateApiKey, adminController.createUserApiKey);
+router.delete("/users/:id/api-keys/:keyId", requirePermission("api-keys:write"), requireSession, validateUserApiKeyId, adminController.revokeUserApiKey);
+
+// Roles and permissions
+router.get("/roles", requirePermission("roles:read"), adminRead, roleController.list);
+router.get("/permissions", requirePermission("roles:read"), adminRead, roleController.listPermissions);
+router.post("/roles", requirePermission("roles:write"), adminWrite, validateRole, roleController.create);
+router.patch("/roles/:name", requirePermission("roles:write"), adminWrite, validateRoleChanges, roleController.update);
+router.delete("/roles/:name", requirePermission("roles:write"), adminWrite, validateRoleName, roleController.remove);
+
+// OAuth/OIDC client registration
+router.get("/oauth-clients", requirePermission("oauth-clients:read"), adminRead, adminController.listClients);
+router.post("/oauth-clients", requirePermission("oauth-clients:write"), adminWrite, validateOAuthClient, adminController.createClient);
+router.post("/oauth-clients/:id/rotate-secret", requirePermission("oauth-clients:write"), adminWrite, validateOAuthClientId, adminController.rotateClientSecret);
+router.post("/oauth-clients/:id/deactivate", requirePermission("oauth-clients:write"), adminWrite, validateOAuthClientId, adminController.deactivateClient);
+
+// Invite codes for REGISTRATION_MODE=invite
+router.get("/invite-codes", requirePermission("invite-codes:read"), adminRead, adminController.listInviteCodes);
+router.post("/invite-codes", requirePermission("invite-codes:write"), adminWrite, validateInviteCode, adminController.createInviteCode);
+router.delete("/invite-codes/:id", requirePermission("invite-codes:write"), adminWrite, validateInviteCodeId, adminController.revokeInviteCode);
+
+// Audit log
+router.get("/audit-events", requirePermission("audit:read"), adminRead, validateAuditQuery, adminController.listAuditEvents);
+router.get("/audit-events/export", requirePermission("audit:read"), adminRead, validateAuditExport, adminController.exportAuditEvents);
+
+// Health details for operators
+router.get("/diagnostics", requirePermission("system:read"), adminRead, adminController.getDiagnostics);
+
+export default router;
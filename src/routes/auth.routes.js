@@ -1,22 +1,41 @@
 import express from "express";
-import rateLimit from "express-rate-limit";
+import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
 import authController from "../controller/auth.controller.js";
-import { authenticateToken, optionalAuth } from "../middleware/auth.middleware.js";
+import { config } from "../config/index.js";
+import mfaController from "../controller/mfa.controller.js";
+import apiKeyController from "../controller/apiKey.controller.js";
+import {
+  authenticateToken,
+  optionalAuth,
+  requireScope,
+  requireSession,
+  requireVerified
+} from "../middleware/auth.middleware.js";
 import {
   validateRegistration,
   validateLogin,
   validatePasswordReset,
   validateNewPassword,
+  validateEmailVerification,
+  validateResendVerification,
+  validateAccountUnlock,
   validateChangePassword,
-  validateProfileUpdate
+  validateProfileUpdate,
+  validateSessionId,
+  validateSessionRevocation,
+  validateMfaCode,
+  validateMfaLogin,
+  validateMfaDisable,
+  validateApiKey,
+  validateApiKeyId
 } from "../middleware/validation.middleware.js";
 
 const router = express.Router();
 
 // Rate limiting for auth routes
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs for auth
+const authLimiter = createRateLimiter("auth", {
+  windowMs: config.AUTH_RATE_LIMIT_WINDOW,
+  max: config.AUTH_RATE_LIMIT_MAX, // per IP, on top of the lockout policy
   message: {
     success: false,
     message: "Too many authentication attempts, please try again later."
@@ -25,7 +44,7 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-const generalLimiter = rateLimit({
+const generalLimiter = createRateLimiter("auth-general", {
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: {
@@ -36,15 +55,54 @@ const generalLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+const verificationLimiter = createRateLimiter("verification", {
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each IP to 3 verification emails per hour
+  message: {
+    success: false,
+    message: "Too many verification requests, please try again later."
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Public routes with rate limiting
 router.post("/register", authLimiter, validateRegistration, authController.register);
+router.get("/registration-policy", generalLimiter, authController.getRegistrationPolicy);
+router.get("/password-policy", generalLimiter, authController.getPasswordPolicy);
 router.post("/login", authLimiter, validateLogin, authController.login);
+router.post("/login/mfa", authLimiter, validateMfaLogin, authController.loginMfa);
 router.post("/refresh-token", generalLimiter, authController.refreshToken);
-router.post("/logout", generalLimiter, authController.logout);
+router.post("/logout", generalLimiter, optionalAuth, authController.logout);
+router.post("/forgot-password", authLimiter, validatePasswordReset, authController.forgotPassword);
+router.post("/reset-password", authLimiter, validateNewPassword, authController.resetPassword);
+router.get("/verify-email", generalLimiter, validateEmailVerification, authController.verifyEmail);
+router.post("/verify-email", generalLimiter, validateEmailVerification, authController.verifyEmail);
+router.post("/resend-verification", verificationLimiter, validateResendVerification, authController.resendVerification);
+router.get("/unlock-account", generalLimiter, validateAccountUnlock, authController.unlock);
+router.post("/unlock-account", generalLimiter, validateAccountUnlock, authController.unlock);
+
+// Protected routes. API keys reach only routes with requireScope; routes that
+// issue tokens or change credentials need a signed-in session
+router.post("/logout-all", authenticateToken, requireSession, authController.revokeSessions);
+router.get("/sessions", authenticateToken, requireScope("sessions:read"), authController.listSessions);
+router.delete("/sessions/:id", authenticateToken, requireScope("sessions:write"), validateSessionId, authController.revokeSession);
+router.delete("/sessions", authenticateToken, requireSession, validateSessionRevocation, authController.revokeSessions);
+router.post("/change-password", authenticateToken, requireSession, authLimiter, validateChangePassword, authController.changePassword);
+router.get("/profile", authenticateToken, requireScope("profile:read"), authController.getProfile);
+router.patch("/profile", authenticateToken, requireScope("profile:write"), validateProfileUpdate, authController.updateProfile);
+
+// Multi-factor authentication
+router.get("/mfa", authenticateToken, requireScope("profile:read"), mfaController.getStatus);
+router.post("/mfa/setup", authenticateToken, requireSession, mfaController.setup);
+router.post("/mfa/confirm", authenticateToken, requireSession, authLimiter, validateMfaCode, mfaController.confirm);
+router.post("/mfa/disable", authenticateToken, requireSession, authLimiter, validateMfaDisable, mfaController.disable);
+router.post("/mfa/recovery-codes", authenticateToken, requireSession, authLimiter, validateMfaCode, mfaController.regenerateRecoveryCodes);
 
-// Protected routes
-router.post("/logout-all", authenticateToken, authController.logoutAll);
-router.get("/profile", authenticateToken, authController.getProfile);
+// Personal API keys
+router.get("/api-keys", authenticateToken, requireSession, apiKeyController.list);
+router.post("/api-keys", authenticateToken, requireSession, requireVerified, validateApiKey, apiKeyController.create);
+router.delete("/api-keys/:id", authenticateToken, requireSession, validateApiKeyId, apiKeyController.revoke);
 
 // Optional auth route example
 router.get("/public-profile/:id", optionalAuth, (req, res) => {
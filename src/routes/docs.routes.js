@@ -0,0 +1,54 @@
+import express from "express";
+import getAbsoluteFSPath from "swagger-ui-dist/absolute-path.js";
+import { getOpenApiDocument, getOpenApiYaml } from "../services/openapi.service.js";
+
+const router = express.Router();
+
+const DOCS_PATH = "/api/docs";
+
+// Swagger UI page; assets are served from swagger-ui-dist, so nothing loads
+// from a CDN and the page works under the app's Content Security Policy
+const VIEWER_HTML = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <title>GateKeeper API Docs</title>
+    <link rel="stylesheet" href="${DOCS_PATH}/swagger-ui.css">
+    <link rel="icon" type="image/png" href="${DOCS_PATH}/favicon-32x32.png" sizes="32x32">
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${DOCS_PATH}/swagger-ui-bundle.js"></script>
+    <script src="${DOCS_PATH}/viewer.js"></script>
+  </body>
+</html>
+`;
+
+// Kept out of the page because the CSP forbids inline scripts
+const VIEWER_SCRIPT = `window.ui = SwaggerUIBundle({
+  url: "${DOCS_PATH}/openapi.json",
+  dom_id: "#swagger-ui",
+  deepLinking: true,
+  withCredentials: true
+});
+`;
+
+router.get("/", (req, res) => {
+  res.type("html").send(VIEWER_HTML);
+});
+
+router.get("/viewer.js", (req, res) => {
+  res.type("application/javascript").send(VIEWER_SCRIPT);
+});
+
+router.get("/openapi.json", (req, res) => {
+  res.json(getOpenApiDocument());
+});
+
+router.get("/openapi.yaml", (req, res) => {
+  res.type("application/yaml").send(getOpenApiYaml());
+});
+
+router.use(express.static(getAbsoluteFSPath(), { index: false }));
+
+export default router;
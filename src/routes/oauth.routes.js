@@ -0,0 +1,27 @@
+import express from "express";
+import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
+import oauthController from "../controller/oauth.controller.js";
+
+const router = express.Router();
+
+const tokenLimiter = createRateLimiter("oauth-token", {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 token requests per windowMs
+  message: {
+    error: "slow_down",
+    error_description: "Too many token requests, please try again later."
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// OpenID Connect discovery
+router.get("/.well-known/openid-configuration", oauthController.discovery);
+
+// OAuth 2.0 authorization code flow with PKCE
+router.get("/oauth/authorize", oauthController.authorize);
+router.post("/oauth/token", tokenLimiter, oauthController.token);
+router.get("/oauth/userinfo", oauthController.userinfo);
+router.post("/oauth/userinfo", oauthController.userinfo);
+
+export default router;
@@ -0,0 +1,57 @@
+import express from "express";
+import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
+import orgController from "../controller/org.controller.js";
+import {
+  authenticateToken,
+  requireSession,
+  requireVerified
+} from "../middleware/auth.middleware.js";
+import { requireOrgMember } from "../middleware/org.middleware.js";
+import {
+  validateOrganization,
+  validateOrgMemberId,
+  validateOrgMemberRole,
+  validateOwnershipTransfer,
+  validateOrgInvitation,
+  validateOrgInvitationId,
+  validateInvitationToken
+} from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+const invitationLimiter = createRateLimiter("org-invitations", {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // invitation responses per IP per windowMs
+  message: {
+    success: false,
+    message: "Too many requests, please try again later."
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Invitation responses; declining needs only the emailed token
+router.post("/invitations/accept", invitationLimiter, authenticateToken, requireSession, validateInvitationToken, orgController.acceptInvitation);
+router.post("/invitations/decline", invitationLimiter, validateInvitationToken, orgController.declineInvitation);
+
+// Everything else needs a signed-in user; API keys are not accepted
+router.use(authenticateToken, requireSession);
+
+router.get("/", orgController.list);
+router.post("/", requireVerified, validateOrganization, orgController.create);
+router.get("/:orgId", requireOrgMember(), orgController.get);
+router.patch("/:orgId", requireOrgMember("admin"), validateOrganization, orgController.update);
+router.post("/:orgId/switch", requireOrgMember(), orgController.switchOrganization);
+router.post("/:orgId/transfer-ownership", requireOrgMember("owner"), validateOwnershipTransfer, orgController.transferOwnership);
+
+// Members; anyone can remove themselves (leave), admins manage lower roles
+router.get("/:orgId/members", requireOrgMember(), orgController.listMembers);
+router.patch("/:orgId/members/:userId", requireOrgMember("admin"), validateOrgMemberRole, orgController.updateMember);
+router.delete("/:orgId/members/:userId", requireOrgMember(), validateOrgMemberId, orgController.removeMember);
+
+// Invitations
+router.get("/:orgId/invitations", requireOrgMember("admin"), orgController.listInvitations);
+router.post("/:orgId/invitations", requireOrgMember("admin"), validateOrgInvitation, orgController.invite);
+router.delete("/:orgId/invitations/:invitationId", requireOrgMember("admin"), validateOrgInvitationId, orgController.revokeInvitation);
+
+export default router;
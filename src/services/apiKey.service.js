@@ -0,0 +1,112 @@
+import ApiKey from "../model/apiKey.model.js";
+import { config } from "../config/index.js";
+import { AuthError } from "./auth.service.js";
+import { recordAuditEvent } from "./audit.service.js";
+import { logger } from "./logger.service.js";
+import roleStore from "./role.service.js";
+
+// What each scope lets a key do. Keys act with their owner's permissions, so
+// admin scopes only help on accounts that hold some
+export const API_KEY_SCOPES = {
+  "profile:read": "Read the owner's profile and MFA status",
+  "profile:write": "Update the owner's profile",
+  "sessions:read": "List the owner's sessions",
+  "sessions:write": "Revoke individual sessions",
+  "admin:read": "Read users, roles, audit events, OAuth clients and diagnostics",
+  "admin:write": "Manage users, roles and OAuth clients",
+};
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_INTERVAL = 60 * 1000;
+
+export const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  lastUsedIp: apiKey.lastUsedIp || null,
+  revokedAt: apiKey.revokedAt || null,
+  isActive: apiKey.isActive,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+});
+
+// Issues a key for user. Returns the document and the raw key, which the
+// caller must show once: only its hash is stored
+export const createApiKey = async (user, { name, scopes, expiresAt }, req) => {
+  const isAdmin = roleStore.permissionsFor(user.roles).length > 0;
+  if (scopes.some((scope) => scope.startsWith("admin:")) && !isAdmin) {
+    throw new AuthError(400, "Admin scopes require an account with admin permissions");
+  }
+
+  const now = Date.now();
+  const expiry = expiresAt ? new Date(expiresAt) : new Date(now + config.API_KEY_DEFAULT_LIFETIME);
+  if (expiry.getTime() <= now) {
+    throw new AuthError(400, "expiresAt must be in the future");
+  }
+  if (expiry.getTime() > now + config.API_KEY_MAX_LIFETIME) {
+    throw new AuthError(400, "expiresAt exceeds the maximum API key lifetime");
+  }
+
+  const activeKeys = await ApiKey.countDocuments({
+    user: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date(now) },
+  });
+  if (activeKeys >= config.API_KEY_MAX_PER_USER) {
+    throw new AuthError(409, `A user can have at most ${config.API_KEY_MAX_PER_USER} active API keys`);
+  }
+
+  const apiKey = new ApiKey({
+    user: user._id,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiry,
+    createdBy: req.user.id,
+  });
+  const key = apiKey.generateKey();
+  await apiKey.save();
+
+  await recordAuditEvent(req, {
+    type: "api_key_created",
+    target: user._id,
+    details: { keyId: String(apiKey._id), name, scopes: apiKey.scopes, expiresAt: expiry },
+  });
+
+  return { apiKey, key };
+};
+
+export const revokeApiKey = async (apiKey, req) => {
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+  }
+
+  await recordAuditEvent(req, {
+    type: "api_key_revoked",
+    target: apiKey.user,
+    details: { keyId: String(apiKey._id), name: apiKey.name },
+  });
+};
+
+// Resolves a raw key to { apiKey } or { reason } for the audit log
+export const resolveApiKey = async (key) => {
+  const apiKey = await ApiKey.findByKey(key);
+
+  if (!apiKey) return { reason: "API_KEY_INVALID" };
+  if (apiKey.revokedAt) return { reason: "API_KEY_REVOKED" };
+  if (apiKey.expiresAt <= new Date()) return { reason: "API_KEY_EXPIRED" };
+
+  return { apiKey };
+};
+
+// Throttled so busy keys don't write on every request; never blocks the request
+export const recordApiKeyUse = (apiKey, req) => {
+  const now = new Date();
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_INTERVAL) return;
+
+  ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: req.ip } })
+    .catch((error) => logger.error("Failed to record API key use", { error }));
+};
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import AuditEvent from "../model/auditEvent.model.js";
+import { config } from "../config/index.js";
+import { logger } from "./logger.service.js";
+
+// Records an audit event. Never throws, so a failed write can't break the
+// request being audited. actor defaults to the authenticated user
+export const recordAuditEvent = async (req, { type, outcome = "success", actor, target, details = {} }) => {
+  const createdAt = new Date();
+
+  try {
+    await AuditEvent.create({
+      type,
+      outcome,
+      actor: actor !== undefined ? actor : req?.user?.id || null,
+      target: target || null,
+      ip: req?.ip,
+      userAgent: req?.get?.("user-agent"),
+      correlationId: req?.id,
+      details,
+      createdAt,
+      expiresAt: config.AUDIT_LOG_RETENTION
+        ? new Date(createdAt.getTime() + config.AUDIT_LOG_RETENTION)
+        : undefined,
+    });
+  } catch (error) {
+    logger.error('Failed to record audit event', { error });
+  }
+};
+
+// Query filter for the admin API. userId matches events the user performed
+// or that concern their account; type accepts a comma-separated list
+export const buildAuditFilter = ({ userId, type, outcome, correlationId, from, to }) => {
+  const filter = {};
+
+  if (userId) {
+    const id = new mongoose.Types.ObjectId(userId);
+    filter.$or = [{ actor: id }, { target: id }];
+  }
+  if (type) {
+    const types = type.split(",").map((t) => t.trim()).filter(Boolean);
+    filter.type = types.length === 1 ? types[0] : { $in: types };
+  }
+  if (outcome) filter.outcome = outcome;
+  if (correlationId) filter.correlationId = correlationId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  return filter;
+};
+
+export const formatAuditEvent = (event) => ({
+  id: event._id,
+  type: event.type,
+  outcome: event.outcome,
+  actor: event.actor,
+  target: event.target,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  correlationId: event.correlationId,
+  details: event.details,
+  createdAt: event.createdAt,
+});
+
+export const AUDIT_CSV_COLUMNS = [
+  "id", "createdAt", "type", "outcome", "actor", "target",
+  "ip", "userAgent", "correlationId", "details",
+];
+
+// Quotes CSV values and defuses spreadsheet formulas (=, +, -, @)
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === "object" && !(value instanceof mongoose.Types.ObjectId)) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvRow = (event) => {
+  const formatted = formatAuditEvent(event);
+  return AUDIT_CSV_COLUMNS.map((column) => toCsvValue(formatted[column])).join(",");
+};
@@ -0,0 +1,110 @@
+import jwt from "jsonwebtoken";
+import User from "../model/user.model.js";
+import { config } from "../config/index.js";
+import { recordSecurityEvent } from "./security.service.js";
+import { getSessionMetadata } from "./session.service.js";
+import { refreshRotationsTotal } from "./metrics.service.js";
+
+// Error carrying the HTTP status the caller should respond with
+export class AuthError extends Error {
+  constructor(statusCode, message, code) {
+    super(message);
+    this.name = "AuthError";
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Resolves the user and session behind a refresh token without rotating it.
+// Returns null when the token is missing, invalid or revoked.
+export const getSessionUser = async (refreshToken) => {
+  if (!refreshToken) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, config.JWT_REFRESH_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id);
+  const session = user?.findSession(refreshToken);
+  if (!session || !user.isActive) return null;
+
+  return { user, session };
+};
+
+// Rotates a refresh token, revoking the whole family if a rotated-out token is
+// replayed. clientId must match the OAuth client the session was issued to
+// (undefined for first-party sessions).
+export const rotateSession = async (refreshToken, req, { clientId } = {}) => {
+  if (!refreshToken) {
+    throw new AuthError(401, "Refresh token not provided");
+  }
+
+  try {
+    const result = await rotate(refreshToken, req, clientId);
+    refreshRotationsTotal.inc({ outcome: "success" });
+    return result;
+  } catch (error) {
+    if (error instanceof AuthError) {
+      refreshRotationsTotal.inc({ outcome: error.code === "TOKEN_REUSE" ? "reuse" : "rejected" });
+    }
+    throw error;
+  }
+};
+
+const rotate = async (refreshToken, req, clientId) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, config.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw new AuthError(401, "Invalid or expired refresh token");
+  }
+
+  // Find user and check if refresh token exists
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    throw new AuthError(401, "User not found");
+  }
+
+  const session = user.findSession(refreshToken);
+  if (!session) {
+    // A validly signed token whose family is still active has already been
+    // rotated out, so someone is replaying it: revoke the whole family
+    const familyActive = decoded.family &&
+      user.refreshTokens.some(t => t.family === decoded.family);
+
+    if (familyActive) {
+      // The thief may also hold access tokens from this family
+      user.revokeAccessTokens();
+      await user.revokeTokenFamily(decoded.family);
+      await recordSecurityEvent(user._id, "refresh_token_reuse", req, {
+        family: decoded.family
+      });
+      throw new AuthError(401, "Invalid refresh token", "TOKEN_REUSE");
+    }
+
+    throw new AuthError(401, "Invalid refresh token");
+  }
+
+  if (session.clientId !== clientId) {
+    throw new AuthError(401, "Invalid refresh token");
+  }
+
+  if (!user.isActive) {
+    throw new AuthError(403, "Account is deactivated");
+  }
+
+  // Generate new tokens, keeping the token family and active organization.
+  // OAuth clients get scoped access tokens addressed to them rather than to this API
+  const accessToken = clientId
+    ? user.generateAccessToken({ scope: session.scope, client_id: clientId }, { audience: clientId })
+    : user.generateAccessToken(session.organization ? { org: String(session.organization) } : {});
+  const newRefreshToken = user.generateRefreshToken(decoded.family);
+
+  // Replace the old refresh token within the same session
+  await user.rotateRefreshToken(refreshToken, newRefreshToken, getSessionMetadata(req));
+
+  return { user, session, accessToken, refreshToken: newRefreshToken };
+};
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import { config } from "../config/index.js";
+import { healthCheck as databaseHealthCheck } from "../database/connection.js";
+import keyStore from "./keys.service.js";
+import storage from "./storage.service.js";
+
+// Set once graceful shutdown starts, so readiness fails while load balancers drain
+let shuttingDown = false;
+
+export const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+export const isShuttingDown = () => shuttingDown;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Runs a check, returning { status: "up", latencyMs } or { status: "down", error }
+const runCheck = async (check) => {
+  const start = Date.now();
+  try {
+    await withTimeout(check(), config.HEALTH_CHECK_TIMEOUT);
+    return { status: "up", latencyMs: Date.now() - start };
+  } catch (error) {
+    return { status: "down", error: error.message };
+  }
+};
+
+const checkDatabase = () =>
+  runCheck(async () => {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error("MongoDB is not connected");
+    }
+    await mongoose.connection.db.admin().ping();
+  });
+
+// Redis is only checked when enabled; otherwise state is per instance by design
+const checkRedis = () =>
+  config.ENABLE_REDIS ? runCheck(() => storage.ping()) : { status: "disabled" };
+
+const checkSigningKeys = () =>
+  keyStore.isReady()
+    ? { status: "up", algorithm: keyStore.algorithm }
+    : { status: "down", error: "No active signing key" };
+
+// Whether this instance should receive traffic
+export const getReadiness = async () => {
+  const [database, redis] = await Promise.all([checkDatabase(), checkRedis()]);
+  const checks = { database, redis, signingKeys: checkSigningKeys() };
+
+  const ready = !shuttingDown &&
+    Object.values(checks).every((check) => check.status !== "down");
+
+  return { ready, shuttingDown, checks };
+};
+
+// Detailed view for admins; includes connection details, never secrets
+export const getDiagnostics = async () => {
+  const readiness = await getReadiness();
+  const memory = process.memoryUsage();
+
+  return {
+    ...readiness,
+    database: await databaseHealthCheck().catch((error) => ({ error: error.message })),
+    redis: {
+      enabled: storage.isRedisEnabled(),
+      shared: storage.isShared(),
+      status: storage.client?.status || null,
+    },
+    signingKeys: {
+      algorithm: keyStore.algorithm,
+      activeKid: keyStore.activeKid,
+      keyCount: keyStore.keys.size,
+      lastReload: keyStore.lastReload ? new Date(keyStore.lastReload) : null,
+    },
+    process: {
+      pid: process.pid,
+      nodeVersion: process.version,
+      environment: config.NODE_ENV,
+      uptime: process.uptime(),
+      memory: {
+        rssMB: Math.round(memory.rss / 1024 / 1024),
+        heapUsedMB: Math.round(memory.heapUsed / 1024 / 1024),
+        heapTotalMB: Math.round(memory.heapTotal / 1024 / 1024),
+      },
+    },
+  };
+};
@@ -0,0 +1,257 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { promisify } from "util";
+import jwt from "jsonwebtoken";
+import SigningKey from "../model/signingKey.model.js";
+import { config, parseDuration } from "../config/index.js";
+import { logger } from "./logger.service.js";
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// How often each instance re-reads the store to pick up keys rotated elsewhere
+const RELOAD_INTERVAL = 60 * 1000;
+// Allowance for clock skew between us and token verifiers
+const CLOCK_SKEW = 60 * 1000;
+
+const createKeyRecord = async (alg) => {
+  const { publicKey, privateKey } =
+    alg === "ES256"
+      ? await generateKeyPair("ec", { namedCurve: "P-256" })
+      : await generateKeyPair("rsa", { modulusLength: 2048 });
+
+  return {
+    kid: crypto.randomUUID(),
+    alg,
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+    status: "active",
+    createdAt: new Date(),
+    retiredAt: null,
+  };
+};
+
+// One JSON file per key in JWT_KEYS_DIR
+class FileKeyBackend {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async list() {
+    await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+    const files = (await fs.readdir(this.directory)).filter((f) => f.endsWith(".json"));
+
+    const records = await Promise.all(
+      files.map(async (file) => {
+        const record = JSON.parse(await fs.readFile(path.join(this.directory, file), "utf8"));
+        return {
+          ...record,
+          createdAt: new Date(record.createdAt),
+          retiredAt: record.retiredAt ? new Date(record.retiredAt) : null,
+        };
+      })
+    );
+    return records;
+  }
+
+  async save(record) {
+    await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+    await fs.writeFile(
+      path.join(this.directory, `${record.kid}.json`),
+      JSON.stringify(record, null, 2),
+      { mode: 0o600 }
+    );
+  }
+
+  async remove(kid) {
+    await fs.rm(path.join(this.directory, `${kid}.json`), { force: true });
+  }
+}
+
+// SigningKey collection, shared by every instance
+class MongoKeyBackend {
+  async list() {
+    const keys = await SigningKey.find().select("+privateKey").lean();
+    return keys.map(({ _id, __v, updatedAt, ...record }) => record);
+  }
+
+  async save(record) {
+    await SigningKey.updateOne({ kid: record.kid }, { $set: record }, { upsert: true });
+  }
+
+  async remove(kid) {
+    await SigningKey.deleteOne({ kid });
+  }
+}
+
+class KeyStore {
+  constructor() {
+    this.keys = new Map();
+    this.activeKid = null;
+    this.backend = null;
+    this.timer = null;
+    this.lastReload = 0;
+  }
+
+  get algorithm() {
+    return config.JWT_ALGORITHM;
+  }
+
+  isSymmetric() {
+    return this.algorithm.startsWith("HS");
+  }
+
+  isReady() {
+    return this.isSymmetric() || !!this.activeKid;
+  }
+
+  // Loads keys, creates or rotates the active key if needed, and keeps them fresh
+  async initialize() {
+    if (this.isSymmetric()) return;
+
+    this.backend =
+      config.JWT_KEY_STORE === "mongo"
+        ? new MongoKeyBackend()
+        : new FileKeyBackend(config.JWT_KEYS_DIR);
+
+    await this.reload();
+    await this.rotateIfDue();
+
+    this.timer = setInterval(() => {
+      this.reload()
+        .then(() => this.rotateIfDue())
+        .catch((error) => logger.error("Signing key refresh error", { error }));
+    }, RELOAD_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async reload() {
+    const records = await this.backend.list();
+    this.keys = new Map(records.map((record) => [record.kid, record]));
+
+    const active = records
+      .filter((record) => record.status === "active" && record.alg === this.algorithm)
+      .sort((a, b) => b.createdAt - a.createdAt)[0];
+    this.activeKid = active?.kid || null;
+    this.lastReload = Date.now();
+  }
+
+  async rotateIfDue() {
+    const active = this.keys.get(this.activeKid);
+    const interval = config.JWT_KEY_ROTATION_INTERVAL;
+
+    if (!active || (interval > 0 && Date.now() - active.createdAt >= interval)) {
+      await this.rotate();
+    }
+
+    await this.pruneRetired();
+  }
+
+  // Creates a new active key and retires the current one
+  async rotate() {
+    const record = await createKeyRecord(this.algorithm);
+    await this.backend.save(record);
+
+    for (const key of this.keys.values()) {
+      if (key.status === "active") {
+        await this.backend.save({ ...key, status: "retired", retiredAt: new Date() });
+      }
+    }
+
+    await this.reload();
+    logger.info("Rotated JWT signing key", { kid: record.kid });
+    return record.kid;
+  }
+
+  // Retired keys are kept until every token they signed has expired
+  async pruneRetired() {
+    const keepFor = Math.max(
+      parseDuration(config.JWT_EXPIRES_IN, 15 * 60 * 1000),
+      config.OIDC_ENABLED ? parseDuration(config.OIDC_ID_TOKEN_EXPIRES_IN, 60 * 60 * 1000) : 0
+    ) + CLOCK_SKEW;
+
+    for (const key of this.keys.values()) {
+      if (key.status === "retired" && Date.now() - key.retiredAt > keepFor) {
+        await this.backend.remove(key.kid);
+        this.keys.delete(key.kid);
+      }
+    }
+  }
+
+  sign(payload, options = {}) {
+    const signOptions = {
+      issuer: config.JWT_ISSUER,
+      audience: config.JWT_AUDIENCE,
+      ...options,
+    };
+
+    if (this.isSymmetric()) {
+      return jwt.sign(payload, config.JWT_SECRET, {
+        ...signOptions,
+        algorithm: this.algorithm,
+      });
+    }
+
+    const key = this.keys.get(this.activeKid);
+    if (!key) {
+      throw new Error("No active JWT signing key; call keyStore.initialize() first");
+    }
+
+    return jwt.sign(payload, key.privateKey, {
+      ...signOptions,
+      algorithm: key.alg,
+      keyid: key.kid,
+    });
+  }
+
+  async verify(token, options = {}) {
+    const verifyOptions = {
+      issuer: config.JWT_ISSUER,
+      audience: config.JWT_AUDIENCE,
+      ...options,
+    };
+
+    if (this.isSymmetric()) {
+      return jwt.verify(token, config.JWT_SECRET, {
+        ...verifyOptions,
+        algorithms: [this.algorithm],
+      });
+    }
+
+    const kid = jwt.decode(token, { complete: true })?.header?.kid;
+    let key = this.keys.get(kid);
+
+    // Another instance may have rotated since our last reload
+    if (!key && kid && Date.now() - this.lastReload > 5000) {
+      await this.reload();
+      key = this.keys.get(kid);
+    }
+
+    if (!key) {
+      throw new jwt.JsonWebTokenError("Unknown signing key");
+    }
+
+    return jwt.verify(token, key.publicKey, {
+      ...verifyOptions,
+      algorithms: [key.alg],
+    });
+  }
+
+  // Public keys for /.well-known/jwks.json
+  getJwks() {
+    const keys = [...this.keys.values()].map((key) => ({
+      ...crypto.createPublicKey(key.publicKey).export({ format: "jwk" }),
+      kid: key.kid,
+      alg: key.alg,
+      use: "sig",
+    }));
+    return { keys };
+  }
+}
+
+export default new KeyStore();
@@ -0,0 +1,135 @@
+import User from "../model/user.model.js";
+import { config } from "../config/index.js";
+import storage from "./storage.service.js";
+import mailService from "./mail.service.js";
+import { recordSecurityEvent } from "./security.service.js";
+import { logger } from "./logger.service.js";
+import { accountLockoutsTotal } from "./metrics.service.js";
+
+// Login throttling policy. Two counters work together:
+// - per account (on the user document): progressive backoff after each failure,
+//   then a lock that doubles with every consecutive lockout. Catches many IPs
+//   guessing one password.
+// - per IP (in shared storage): failures across all accounts, including unknown
+//   emails. Catches one IP spraying passwords over many accounts.
+
+const ipKey = (ip) => `lockout:ip:${ip}`;
+
+const toSeconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+export const getLockDuration = (lockCount) =>
+  Math.min(
+    config.LOCKOUT_DURATION * 2 ** Math.max(0, lockCount - 1),
+    config.LOCKOUT_MAX_DURATION
+  );
+
+// Wait required after the nth consecutive failure before the next attempt
+export const getBackoffDelay = (attempts) =>
+  attempts > 0
+    ? Math.min(config.LOCKOUT_BACKOFF_BASE * 2 ** (attempts - 1), config.LOCKOUT_DURATION)
+    : 0;
+
+// Each check returns null when the attempt may go ahead, otherwise the
+// rejection to send: { statusCode, code, message, retryAfter } (seconds)
+export const checkIpAllowed = async (ip) => {
+  const failures = parseInt(await storage.get(ipKey(ip)), 10) || 0;
+  if (failures < config.LOCKOUT_IP_MAX_FAILURES) return null;
+
+  return {
+    statusCode: 429,
+    code: "IP_BLOCKED",
+    message: "Too many failed login attempts from this address, please try again later",
+    retryAfter: toSeconds(config.LOCKOUT_IP_WINDOW),
+  };
+};
+
+export const checkAccountAllowed = (user) => {
+  const now = Date.now();
+
+  if (user.isLocked) {
+    return {
+      statusCode: 423,
+      code: "ACCOUNT_LOCKED",
+      message: "Account temporarily locked due to too many failed login attempts",
+      retryAfter: toSeconds(user.lockUntil - now),
+    };
+  }
+
+  const nextAttemptAt = user.lastFailedLoginAt
+    ? user.lastFailedLoginAt.getTime() + getBackoffDelay(user.loginAttempts)
+    : 0;
+  if (nextAttemptAt > now) {
+    return {
+      statusCode: 429,
+      code: "LOGIN_BACKOFF",
+      message: "Too many failed login attempts, please wait before trying again",
+      retryAfter: toSeconds(nextAttemptAt - now),
+    };
+  }
+
+  return null;
+};
+
+// Counts a failed password or MFA code. user is null for unknown emails
+export const recordLoginFailure = async (user, req) => {
+  const { count } = await storage.increment(ipKey(req.ip), config.LOCKOUT_IP_WINDOW);
+  if (count === config.LOCKOUT_IP_MAX_FAILURES) {
+    logger.warn("Login blocked for IP", { ip: req.ip, failures: count });
+  }
+
+  if (!user) return;
+
+  // Atomic so parallel guesses can't all read the same count
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { loginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+  if (!updated || updated.loginAttempts < config.LOCKOUT_MAX_ATTEMPTS || updated.isLocked) {
+    return;
+  }
+
+  const lockCount = (updated.lockCount || 0) + 1;
+  const lockUntil = new Date(Date.now() + getLockDuration(lockCount));
+  const unlockToken = updated.generateAccountUnlock();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        lockUntil,
+        lockCount,
+        loginAttempts: 0,
+        unlockToken: updated.unlockToken,
+        unlockExpire: updated.unlockExpire,
+      },
+    }
+  );
+
+  accountLockoutsTotal.inc();
+  await recordSecurityEvent(user._id, "account_locked", req, { lockUntil, lockCount });
+
+  // Not awaited: a slow mail server would stall the login response and make
+  // existing accounts answer slower than unknown ones
+  mailService.sendAccountUnlock(updated, unlockToken, lockUntil).catch((error) => {
+    logger.error('Failed to send account unlock email', { error });
+  });
+};
+
+export const recordLoginSuccess = (user) => user.resetLoginAttempts();
+
+// Lifts a lock and its escalation. unlockedBy is "admin" or "owner"
+export const unlockAccount = async (user, req, unlockedBy) => {
+  user.loginAttempts = 0;
+  user.lockCount = 0;
+  user.lockUntil = undefined;
+  user.lastFailedLoginAt = undefined;
+  user.unlockToken = undefined;
+  user.unlockExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await recordSecurityEvent(user._id, "account_unlocked", req, {
+    unlockedBy,
+    ...(unlockedBy === "admin" && { adminId: String(req.user.id) }),
+  });
+};
@@ -0,0 +1,146 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Standalone on purpose: config imports it, so it must not import config
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED = "[REDACTED]";
+
+// Keys whose values are secrets wherever they appear
+const SECRET_KEY_PATTERN =
+  /pass(word)?$|secret|token(hash)?$|authorization|cookie|api[-_]?key|private[-_]?key|recovery[-_]?codes?|^code$|code[-_]?verifier/i;
+// Keys holding personal data, masked so lines stay correlatable
+const EMAIL_KEY_PATTERN = /^e?mail$|email$/i;
+
+const EMAIL_PATTERN = /\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)\b/g;
+const URI_CREDENTIALS_PATTERN = /\/\/([^:/@\s]+):([^@\s]+)@/g;
+
+// Per-request values (request ID, user ID) attached to every log line
+export const requestContext = new AsyncLocalStorage();
+
+export const setRequestUser = (userId) => {
+  const store = requestContext.getStore();
+  if (store && userId) store.userId = String(userId);
+};
+
+export const maskUri = (value) => String(value).replace(URI_CREDENTIALS_PATTERN, "//***:***@");
+
+const maskEmail = (value) => String(value).replace(EMAIL_PATTERN, "$1***@$2");
+
+const redactString = (value) => maskEmail(maskUri(value));
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: redactString(error.message),
+  ...(error.code && { code: error.code }),
+  stack: error.stack && redactString(error.stack),
+});
+
+const isPlainObject = (value) => {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+// Deep copy with secrets removed, emails masked and URI credentials hidden.
+// extraKeys names further keys to treat as secrets (exact match)
+export const redact = (value, extraKeys = [], seen = new WeakSet()) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value !== "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return serializeError(value);
+
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, extraKeys, seen));
+  }
+
+  // ObjectIds, mongoose documents and the like
+  if (!isPlainObject(value)) {
+    return typeof value.toJSON === "function"
+      ? redact(value.toJSON(), extraKeys, seen)
+      : redactString(String(value));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => {
+      if (extraKeys.includes(key) || SECRET_KEY_PATTERN.test(key)) {
+        return [key, item ? REDACTED : item];
+      }
+      if (EMAIL_KEY_PATTERN.test(key) && typeof item === "string") {
+        return [key, maskEmail(item)];
+      }
+      return [key, redact(item, extraKeys, seen)];
+    })
+  );
+};
+
+class Logger {
+  constructor() {
+    this.level = "info";
+    this.format = "pretty";
+  }
+
+  configure({ level, format } = {}) {
+    if (level && LEVELS[level] !== undefined) this.level = level;
+    if (format) this.format = format;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  log(level, message, meta = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const context = requestContext.getStore();
+    const fields = redact(meta instanceof Error ? { error: meta } : meta);
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(message),
+      ...(context?.requestId && { requestId: context.requestId }),
+      ...(context?.userId && { userId: context.userId }),
+      ...fields,
+    };
+
+    const stream = level === "error" ? process.stderr : process.stdout;
+
+    if (this.format === "json") {
+      stream.write(`${JSON.stringify(entry)}\n`);
+      return;
+    }
+
+    // Human-readable output for local development
+    const { time, level: _level, msg, requestId, userId, error, ...rest } = entry;
+    const tags = [requestId, userId && `user:${userId}`].filter(Boolean).join(" ");
+    const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : "";
+    stream.write(
+      `${time} ${level.toUpperCase().padEnd(5)} ${tags ? `[${tags}] ` : ""}${msg}${extra}\n` +
+      (error ? `${error.stack || `${error.name}: ${error.message}`}\n` : "")
+    );
+  }
+
+  error(message, meta) {
+    this.log("error", message, meta);
+  }
+
+  warn(message, meta) {
+    this.log("warn", message, meta);
+  }
+
+  info(message, meta) {
+    this.log("info", message, meta);
+  }
+
+  debug(message, meta) {
+    this.log("debug", message, meta);
+  }
+}
+
+export const LOG_LEVELS = Object.keys(LEVELS);
+
+export const logger = new Logger();
+export default logger;
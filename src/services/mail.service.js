@@ -0,0 +1,153 @@
+import { config } from "../config/index.js";
+import { createMailTransport } from "./mail.transport.js";
+
+const buildLink = (base, params) => {
+  const url = new URL(base);
+  Object.entries(params).forEach(([key, value]) => {
+    url.searchParams.set(key, value);
+  });
+  return url.toString();
+};
+
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  // Created on first use so a misconfigured SMTP relay doesn't block startup
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createMailTransport();
+    }
+    return this.transport;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send(message) {
+    return this.getTransport().send(message);
+  }
+
+  async sendPasswordReset(user, resetToken) {
+    const resetUrl = buildLink(
+      config.PASSWORD_RESET_URL || `${config.APP_URL}/reset-password`,
+      { token: resetToken }
+    );
+    const minutes = Math.round(config.PASSWORD_RESET_EXPIRES / 60000);
+
+    return this.send({
+      to: user.email,
+      subject: `${config.APP_NAME}: reset your password`,
+      text: [
+        `Hi ${user.fullName},`,
+        "",
+        "We received a request to reset the password for your account.",
+        `Use the link below within ${minutes} minutes to choose a new password:`,
+        "",
+        resetUrl,
+        "",
+        "If you didn't request this, you can ignore this email.",
+      ].join("\n"),
+      html: `<p>Hi ${escapeHtml(user.fullName)},</p>
+<p>We received a request to reset the password for your account.
+Use the link below within ${minutes} minutes to choose a new password:</p>
+<p><a href="${resetUrl}">${resetUrl}</a></p>
+<p>If you didn't request this, you can ignore this email.</p>`,
+    });
+  }
+
+  async sendEmailVerification(user, verifyToken) {
+    const verifyUrl = buildLink(
+      config.EMAIL_VERIFICATION_URL || `${config.APP_URL}/verify-email`,
+      { token: verifyToken }
+    );
+    const hours = Math.round(config.EMAIL_VERIFICATION_EXPIRES / 3600000);
+
+    return this.send({
+      to: user.email,
+      subject: `${config.APP_NAME}: verify your email address`,
+      text: [
+        `Hi ${user.fullName},`,
+        "",
+        "Please confirm your email address by opening the link below.",
+        `The link expires in ${hours} hours.`,
+        "",
+        verifyUrl,
+        "",
+        "If you didn't create an account, you can ignore this email.",
+      ].join("\n"),
+      html: `<p>Hi ${escapeHtml(user.fullName)},</p>
+<p>Please confirm your email address by opening the link below.
+The link expires in ${hours} hours.</p>
+<p><a href="${verifyUrl}">${verifyUrl}</a></p>
+<p>If you didn't create an account, you can ignore this email.</p>`,
+    });
+  }
+
+  async sendAccountUnlock(user, unlockToken, lockUntil) {
+    const unlockUrl = buildLink(
+      config.ACCOUNT_UNLOCK_URL || `${config.APP_URL}/unlock-account`,
+      { token: unlockToken }
+    );
+    const minutes = Math.max(1, Math.round((lockUntil - Date.now()) / 60000));
+
+    return this.send({
+      to: user.email,
+      subject: `${config.APP_NAME}: your account has been locked`,
+      text: [
+        `Hi ${user.fullName},`,
+        "",
+        "Your account was locked after too many failed login attempts.",
+        `It unlocks by itself in ${minutes} minutes. If this was you, use the link below to unlock it now:`,
+        "",
+        unlockUrl,
+        "",
+        "If this wasn't you, someone may be guessing your password. Consider changing it once you're back in.",
+      ].join("\n"),
+      html: `<p>Hi ${escapeHtml(user.fullName)},</p>
+<p>Your account was locked after too many failed login attempts.
+It unlocks by itself in ${minutes} minutes. If this was you, use the link below to unlock it now:</p>
+<p><a href="${unlockUrl}">${unlockUrl}</a></p>
+<p>If this wasn't you, someone may be guessing your password. Consider changing it once you're back in.</p>`,
+    });
+  }
+
+  async sendOrgInvitation(email, { organization, inviter, role, token }) {
+    const inviteUrl = buildLink(
+      config.ORG_INVITATION_URL || `${config.APP_URL}/accept-invitation`,
+      { token }
+    );
+    const days = Math.max(1, Math.round(config.ORG_INVITATION_EXPIRES / 86400000));
+
+    return this.send({
+      to: email,
+      subject: `${config.APP_NAME}: join ${organization.name}`,
+      text: [
+        "Hi,",
+        "",
+        `${inviter.fullName} invited you to join ${organization.name} as ${role === "admin" ? "an admin" : "a member"}.`,
+        `Sign in (or create an account) with this email address and use the link below within ${days} days to accept or decline:`,
+        "",
+        inviteUrl,
+        "",
+        "If you weren't expecting this, you can ignore this email.",
+      ].join("\n"),
+      html: `<p>Hi,</p>
+<p>${escapeHtml(inviter.fullName)} invited you to join ${escapeHtml(organization.name)} as ${role === "admin" ? "an admin" : "a member"}.
+Sign in (or create an account) with this email address and use the link below within ${days} days to accept or decline:</p>
+<p><a href="${inviteUrl}">${inviteUrl}</a></p>
+<p>If you weren't expecting this, you can ignore this email.</p>`,
+    });
+  }
+}
+
+export default new MailService();
@@ -0,0 +1,99 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+import { config } from "../config/index.js";
+
+// Every transport implements send({ to, subject, text, html }) and resolves
+// with { messageId } once the message has been handed off.
+
+// Delivers mail through an SMTP relay
+export class SmtpTransport {
+  constructor(options = {}) {
+    if (!options.host) {
+      throw new Error("SMTP_HOST is required for the smtp mail transport");
+    }
+
+    this.from = options.from;
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      ...(options.user && {
+        auth: { user: options.user, pass: options.pass },
+      }),
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      ...message,
+    });
+    return { messageId: info.messageId };
+  }
+}
+
+// Writes each message as a JSON file, useful for staging and integration tests
+export class FileTransport {
+  constructor(options = {}) {
+    this.from = options.from;
+    this.directory = options.directory;
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, `${messageId}.json`),
+      JSON.stringify(
+        { messageId, from: this.from, date: new Date().toISOString(), ...message },
+        null,
+        2
+      )
+    );
+    return { messageId };
+  }
+}
+
+// Prints messages to stdout for local development
+export class ConsoleTransport {
+  constructor(options = {}) {
+    this.from = options.from;
+  }
+
+  async send(message) {
+    const messageId = `console-${Date.now()}`;
+    console.log("📧 Outgoing email:", {
+      messageId,
+      from: this.from,
+      to: message.to,
+      subject: message.subject,
+    });
+    console.log(message.text);
+    return { messageId };
+  }
+}
+
+export const createMailTransport = (name = config.MAIL_TRANSPORT) => {
+  switch (name) {
+    case "smtp":
+      return new SmtpTransport({
+        from: config.MAIL_FROM,
+        host: config.SMTP_HOST,
+        port: config.SMTP_PORT,
+        secure: config.SMTP_SECURE,
+        user: config.SMTP_USER,
+        pass: config.SMTP_PASS,
+      });
+    case "file":
+      return new FileTransport({
+        from: config.MAIL_FROM,
+        directory: config.MAIL_DROP_DIR,
+      });
+    case "console":
+      return new ConsoleTransport({ from: config.MAIL_FROM });
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
@@ -0,0 +1,118 @@
+import http from "http";
+import mongoose from "mongoose";
+import client from "prom-client";
+import { logger } from "./logger.service.js";
+
+// Prometheus metrics, served on METRICS_PORT rather than the public API port
+
+export const register = new client.Registry();
+
+// Process metrics: CPU, heap, GC, handles and event-loop lag
+client.collectDefaultMetrics({ register });
+
+export const httpRequestsTotal = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests handled, by route and status",
+  labelNames: ["method", "route", "status"],
+  registers: [register],
+});
+
+export const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency, by route and status",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+// reason is one of the fixed login failure codes, "none" on success
+export const loginAttemptsTotal = new client.Counter({
+  name: "auth_login_attempts_total",
+  help: "Login attempts, by outcome and failure reason",
+  labelNames: ["outcome", "reason"],
+  registers: [register],
+});
+
+export const accountLockoutsTotal = new client.Counter({
+  name: "auth_account_lockouts_total",
+  help: "Accounts locked after repeated failed logins",
+  registers: [register],
+});
+
+// outcome: success, rejected, or reuse (a rotated-out token was replayed)
+export const refreshRotationsTotal = new client.Counter({
+  name: "auth_refresh_rotations_total",
+  help: "Refresh token rotations, by outcome",
+  labelNames: ["outcome"],
+  registers: [register],
+});
+
+export const rateLimitRejectionsTotal = new client.Counter({
+  name: "rate_limit_rejections_total",
+  help: "Requests rejected by a rate limiter",
+  labelNames: ["limiter"],
+  registers: [register],
+});
+
+new client.Gauge({
+  name: "mongodb_connection_state",
+  help: "Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)",
+  registers: [register],
+  collect() {
+    this.set(mongoose.connection.readyState);
+  },
+});
+
+// The driver has no public pool stats API, so read them from each server's
+// pool at scrape time
+const getConnectionPools = () => {
+  const servers = mongoose.connection.getClient()?.topology?.s?.servers;
+  return servers ? [...servers.values()].map((server) => server.pool).filter(Boolean) : [];
+};
+
+new client.Gauge({
+  name: "mongodb_pool_connections",
+  help: "MongoDB connection pool size, by state",
+  labelNames: ["state"],
+  registers: [register],
+  collect() {
+    const totals = { total: 0, available: 0, checked_out: 0, pending: 0, waiting: 0 };
+
+    for (const pool of getConnectionPools()) {
+      totals.total += pool.totalConnectionCount;
+      totals.available += pool.availableConnectionCount;
+      totals.checked_out += pool.currentCheckedOutCount;
+      totals.pending += pool.pendingConnectionCount;
+      totals.waiting += pool.waitQueueSize;
+    }
+
+    for (const [state, value] of Object.entries(totals)) {
+      this.set({ state }, value);
+    }
+  },
+});
+
+// Serves GET /metrics in Prometheus text format
+export const startMetricsServer = (port, host) => {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+      res.writeHead(404).end();
+      return;
+    }
+
+    try {
+      const body = await register.metrics();
+      res.writeHead(200, { "Content-Type": register.contentType }).end(body);
+    } catch (error) {
+      logger.error("Metrics collection error", { error });
+      res.writeHead(500).end();
+    }
+  });
+
+  server.on("error", (error) => logger.error("Metrics server error", { error }));
+  server.listen(port, host, () => {
+    logger.info("Metrics server listening", { url: `http://${host}:${port}/metrics` });
+  });
+
+  return server;
+};
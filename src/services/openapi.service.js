@@ -0,0 +1,739 @@
+import YAML from "yaml";
+import authRoutes from "../routes/auth.routes.js";
+import { authenticateToken, optionalAuth } from "../middleware/auth.middleware.js";
+import { config } from "../config/index.js";
+import { logger } from "./logger.service.js";
+import { API_KEY_SCOPES } from "./apiKey.service.js";
+
+// OpenAPI 3.1 document for /api/auth. Paths, auth requirements, rate limits and
+// request schemas are read from the router and its express-validator chains, so
+// they can't drift from what the API enforces; OPERATIONS only adds summaries
+// and response bodies.
+
+const AUTH_BASE_PATH = "/api/auth";
+
+// ---- Request schemas from express-validator chains ----
+
+// JSON Schema keywords for each validator; anything unlisted is left out
+const RULES = {
+  isEmail: () => ({ type: "string", format: "email" }),
+  isLength: ({ min, max } = {}) => ({
+    type: "string",
+    ...(min !== undefined && { minLength: min }),
+    ...(max !== undefined && { maxLength: max }),
+  }),
+  matches: (pattern) => ({ type: "string", pattern: String(pattern) }),
+  isIn: (values) => ({ enum: values }),
+  isBoolean: () => ({ type: "boolean" }),
+  isInt: ({ min, max } = {}) => ({
+    type: "integer",
+    ...(min !== undefined && { minimum: min }),
+    ...(max !== undefined && { maximum: max }),
+  }),
+  isMongoId: () => ({ type: "string", pattern: "^[a-f0-9]{24}$" }),
+  isURL: () => ({ type: "string", format: "uri" }),
+  isISO8601: () => ({ type: "string", format: "date-time" }),
+  isObject: () => ({ type: "object" }),
+  isArray: ({ min, max } = {}) => ({
+    type: "array",
+    ...(min !== undefined && { minItems: min }),
+    ...(max !== undefined && { maxItems: max }),
+  }),
+  isString: () => ({ type: "string" }),
+  isMobilePhone: () => ({ type: "string" }),
+};
+
+const isValidationChain = (handle) => !!handle.builder;
+
+const ruleSchema = (item) => {
+  const name = item.validator?.name;
+  // notEmpty() is a negated isEmpty()
+  if (item.negated) return name === "isEmpty" ? { type: "string", minLength: 1 } : {};
+  return RULES[name] ? RULES[name](...item.options) : {};
+};
+
+const chainSchema = (context) =>
+  context.stack.reduce((schema, item) => ({ ...schema, ...ruleSchema(item) }), {});
+
+// Places a schema at a dotted field path ("profile.address.city", "redirectUris.*")
+const setFieldSchema = (root, path, schema, required) => {
+  const segments = path.split(".");
+  let node = root;
+
+  segments.forEach((segment, index) => {
+    const last = index === segments.length - 1;
+    let child;
+
+    if (segment === "*") {
+      node.type = "array";
+      child = node.items = node.items || {};
+    } else {
+      node.type = node.type || "object";
+      node.properties = node.properties || {};
+      child = node.properties[segment] = node.properties[segment] || {};
+      if (last && required) node.required = [...new Set([...(node.required || []), segment])];
+    }
+
+    if (last) Object.assign(child, schema);
+    node = child;
+  });
+};
+
+// JSON Schema for the request body described by a list of validation chains
+export const bodySchemaFromChains = (chains) => {
+  const root = { type: "object", properties: {} };
+
+  for (const chain of chains) {
+    const context = chain.builder.build();
+    for (const field of context.fields) {
+      setFieldSchema(root, field, chainSchema(context), context.optional === false);
+    }
+  }
+
+  return root;
+};
+
+// OpenAPI parameters ("query" or "path") described by validation chains
+export const parametersFromChains = (chains, location) => {
+  const sourceLocation = location === "path" ? "params" : location;
+
+  return chains.flatMap((chain) => {
+    const context = chain.builder.build();
+    if (!context.locations.includes(sourceLocation)) return [];
+
+    return context.fields.map((name) => ({
+      name,
+      in: location,
+      required: location === "path" || context.optional === false,
+      schema: chainSchema(context),
+    }));
+  });
+};
+
+// ---- Shared components ----
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// The { success, message, data } envelope every endpoint responds with
+const envelope = (data) => ({
+  type: "object",
+  required: ["success", "message"],
+  properties: {
+    success: { const: true },
+    message: { type: "string" },
+    ...(data && { data }),
+  },
+});
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+
+const success = (description, data) => jsonResponse(description, envelope(data));
+
+const objectOf = (properties, required = Object.keys(properties)) => ({
+  type: "object",
+  required,
+  properties,
+});
+
+// profileSchema comes from the profile update validators
+const buildComponents = (profileSchema) => ({
+  securitySchemes: {
+    bearerAuth: {
+      type: "http",
+      scheme: "bearer",
+      bearerFormat: "JWT",
+      description: `Access token from login, registration or refresh (${config.JWT_ALGORITHM})`,
+    },
+    apiKeyAuth: {
+      type: "apiKey",
+      in: "header",
+      name: "X-API-Key",
+      description: "Personal API key (`gk_...`); also accepted as a bearer token. Requirements list the scopes it needs",
+    },
+    refreshTokenCookie: {
+      type: "apiKey",
+      in: "cookie",
+      name: "refreshToken",
+      description: "HTTP-only refresh token cookie set on login",
+    },
+  },
+  schemas: {
+    Error: objectOf({
+      success: { const: false },
+      message: { type: "string" },
+    }),
+    ValidationError: objectOf({
+      success: { const: false },
+      message: { const: "Validation failed" },
+      errors: {
+        type: "array",
+        items: objectOf(
+          {
+            type: { type: "string" },
+            msg: { type: "string" },
+            path: { type: "string" },
+            location: { type: "string" },
+            value: {},
+          },
+          ["msg"]
+        ),
+      },
+    }),
+    ThrottleError: objectOf({
+      success: { const: false },
+      message: { type: "string" },
+      code: { enum: ["IP_BLOCKED", "LOGIN_BACKOFF", "ACCOUNT_LOCKED"] },
+    }),
+    RegistrationError: objectOf({
+      success: { const: false },
+      message: { type: "string" },
+      code: {
+        enum: [
+          "REGISTRATION_CLOSED",
+          "DISPOSABLE_EMAIL",
+          "EMAIL_DOMAIN_NOT_ALLOWED",
+          "INVITE_CODE_REQUIRED",
+          "INVITE_CODE_INVALID",
+        ],
+      },
+    }),
+    PasswordError: objectOf({
+      success: { const: false },
+      message: { type: "string" },
+      code: { enum: ["PASSWORD_BREACHED", "PASSWORD_REUSED"] },
+    }),
+    PasswordPolicy: objectOf({
+      minLength: { type: "integer" },
+      maxLength: { type: "integer" },
+      requiredClasses: { type: "array", items: { enum: ["lower", "upper", "digit", "symbol"] } },
+      minStrength: { type: "integer", minimum: 0, maximum: 4, description: "Minimum zxcvbn score" },
+      maxAgeDays: { type: ["integer", "null"], description: "Days before a password must be reset; null if it never expires" },
+      historySize: { type: "integer", description: "Recent passwords, including the current one, that can't be reused" },
+      breachCheck: { type: "boolean", description: "Whether passwords are checked against breach data" },
+    }),
+    RegistrationPolicy: objectOf({
+      mode: { enum: ["open", "closed", "invite", "domain"] },
+      inviteCodeRequired: { type: "boolean" },
+      allowedDomains: {
+        type: ["array", "null"],
+        items: { type: "string" },
+        description: "Email domains that may register (subdomains included); null unless mode is `domain`",
+      },
+    }),
+    UserSummary: objectOf(
+      {
+        id: { type: "string" },
+        fullName: { type: "string" },
+        email: { type: "string", format: "email" },
+        roles: { type: "array", items: { type: "string" }, description: "Role names, e.g. `user`, `moderator`, `admin`" },
+        isVerified: { type: "boolean" },
+        lastLogin: { type: ["string", "null"], format: "date-time" },
+      },
+      ["id", "fullName", "email", "roles", "isVerified"]
+    ),
+    Profile: profileSchema,
+    User: objectOf(
+      {
+        id: { type: "string" },
+        fullName: { type: "string" },
+        email: { type: "string", format: "email" },
+        roles: { type: "array", items: { type: "string" }, description: "Role names, e.g. `user`, `moderator`, `admin`" },
+        isVerified: { type: "boolean" },
+        permissions: {
+          type: "array",
+          items: { type: "string" },
+          description: "Effective permissions from the user's roles (profile only); `*` means all",
+        },
+        isActive: { type: "boolean" },
+        lastLogin: { type: ["string", "null"], format: "date-time" },
+        profile: ref("Profile"),
+        createdAt: { type: "string", format: "date-time" },
+        updatedAt: { type: "string", format: "date-time" },
+      },
+      ["id", "fullName", "email", "roles", "isVerified", "isActive"]
+    ),
+    Session: objectOf(
+      {
+        id: { type: "string" },
+        device: { type: "string" },
+        browser: { type: "string" },
+        os: { type: "string" },
+        ip: { type: "string" },
+        userAgent: { type: "string" },
+        createdAt: { type: "string", format: "date-time" },
+        lastUsedAt: { type: "string", format: "date-time" },
+        expiresAt: { type: "string", format: "date-time" },
+        clientId: { type: ["string", "null"] },
+        organization: { type: ["string", "null"], description: "Active organization for this session" },
+        current: { type: "boolean", description: "The session behind this request's refresh cookie" },
+      },
+      ["id", "createdAt", "expiresAt", "current"]
+    ),
+    ApiKey: objectOf(
+      {
+        id: { type: "string" },
+        name: { type: "string" },
+        prefix: { type: "string", description: "First characters of the key, to tell keys apart" },
+        scopes: { type: "array", items: { enum: Object.keys(API_KEY_SCOPES) } },
+        expiresAt: { type: "string", format: "date-time" },
+        lastUsedAt: { type: ["string", "null"], format: "date-time" },
+        lastUsedIp: { type: ["string", "null"] },
+        revokedAt: { type: ["string", "null"], format: "date-time" },
+        isActive: { type: "boolean" },
+        createdBy: { type: "string" },
+        createdAt: { type: "string", format: "date-time" },
+      },
+      ["id", "name", "prefix", "scopes", "expiresAt", "isActive"]
+    ),
+    AccessToken: objectOf({ accessToken: { type: "string" } }),
+    RecoveryCodes: objectOf({
+      recoveryCodes: {
+        type: "array",
+        items: { type: "string" },
+        description: "Single-use codes, shown only once",
+      },
+    }),
+  },
+  responses: {
+    ValidationFailed: jsonResponse("Request failed validation", ref("ValidationError")),
+    Unauthorized: jsonResponse("Missing, invalid, expired or revoked access token", ref("Error")),
+    Forbidden: jsonResponse("Account deactivated or email verification required", ref("Error")),
+    TooManyRequests: {
+      description: "Rate limit exceeded",
+      headers: {
+        "Retry-After": { schema: { type: "integer" }, description: "Seconds to wait" },
+      },
+      content: { "application/json": { schema: ref("Error") } },
+    },
+    ServerError: jsonResponse("Unexpected server error", ref("Error")),
+  },
+});
+
+// ---- Per-route documentation ----
+
+const signedIn = envelope(objectOf({ user: ref("UserSummary"), accessToken: { type: "string" } }));
+const mfaChallenge = envelope(objectOf({ mfaRequired: { const: true }, mfaToken: { type: "string" } }));
+const SIGNED_IN_DESCRIPTION = "Signed in; the refresh token is set as an HTTP-only cookie";
+
+const mfaCodeFields = {
+  code: { type: "string", pattern: "^\\d{6}$", description: "Current authenticator code" },
+  recoveryCode: { type: "string", pattern: "^[a-fA-F0-9]{5}-?[a-fA-F0-9]{5}$", description: "Unused recovery code, with or without the hyphen" },
+};
+
+// Summaries and responses keyed by "METHOD /path" as registered on the router.
+// body adds properties the chains can't express (oneOf alternatives)
+const OPERATIONS = {
+  "POST /register": {
+    tags: ["Account"],
+    summary: "Register a new account",
+    description: "Starts a session unless UNVERIFIED_LOGIN_MODE is `block` and the account is unverified, in which case only `user` is returned. `inviteCode` is required when REGISTRATION_MODE is `invite`; see `/registration-policy`.",
+    responses: {
+      201: success("Account created", objectOf(
+        { user: ref("UserSummary"), accessToken: { type: "string" } },
+        ["user"]
+      )),
+      400: jsonResponse("Validation failed, a disposable email address (`DISPOSABLE_EMAIL`) or a breached password", {
+        oneOf: [ref("ValidationError"), ref("RegistrationError"), ref("PasswordError")],
+      }),
+      403: jsonResponse("Refused by the registration policy", ref("RegistrationError")),
+      409: jsonResponse("Email already registered", ref("Error")),
+    },
+  },
+  "GET /password-policy": {
+    tags: ["Password"],
+    summary: "Get the password policy",
+    description: "The rules new passwords must meet, for showing on password forms.",
+    responses: {
+      200: success("Password policy", objectOf({ policy: ref("PasswordPolicy") })),
+    },
+  },
+  "GET /registration-policy": {
+    tags: ["Account"],
+    summary: "Get the registration policy",
+    description: "Lets clients ask for an invite code or explain domain restrictions before sign-up.",
+    responses: {
+      200: success("Registration policy", objectOf({ policy: ref("RegistrationPolicy") })),
+    },
+  },
+  "POST /login": {
+    tags: ["Sign-in"],
+    summary: "Sign in with email and password",
+    description: "Accounts with MFA enabled get an `mfaToken` to complete at `/login/mfa` instead of tokens.",
+    responses: {
+      200: jsonResponse(`${SIGNED_IN_DESCRIPTION}, or an MFA challenge`, {
+        oneOf: [signedIn, mfaChallenge],
+      }),
+      401: jsonResponse("Invalid credentials", ref("Error")),
+      403: jsonResponse("Account deactivated, email not verified, or password expired (`code: PASSWORD_EXPIRED`)", ref("Error")),
+      409: jsonResponse("Maximum number of active sessions reached", ref("Error")),
+      423: jsonResponse("Account locked", ref("ThrottleError")),
+      429: jsonResponse("Rate limited, backing off after failures, or IP blocked", ref("ThrottleError")),
+    },
+  },
+  "POST /login/mfa": {
+    tags: ["Sign-in"],
+    summary: "Complete an MFA sign-in",
+    description: "Send either `code` or `recoveryCode`.",
+    body: mfaCodeFields,
+    responses: {
+      200: jsonResponse(SIGNED_IN_DESCRIPTION, signedIn),
+      401: jsonResponse("MFA challenge expired or code invalid", ref("Error")),
+      423: jsonResponse("Account locked", ref("ThrottleError")),
+    },
+  },
+  "POST /refresh-token": {
+    tags: ["Sessions"],
+    summary: "Rotate the refresh token and get a new access token",
+    description: "Replaying a rotated-out refresh token revokes every session in its family.",
+    security: [{ refreshTokenCookie: [] }],
+    responses: {
+      200: success("New access token; the rotated refresh token is set as a cookie", ref("AccessToken")),
+      401: jsonResponse("Missing, invalid or reused refresh token", ref("Error")),
+    },
+  },
+  "POST /logout": {
+    tags: ["Sessions"],
+    summary: "Sign out of the current session",
+    description: "Ends the session behind the refresh cookie and revokes the presented access token, if any.",
+    responses: { 200: success("Signed out") },
+  },
+  "POST /forgot-password": {
+    tags: ["Password"],
+    summary: "Request a password reset email",
+    description: "Always succeeds so the response doesn't reveal whether the account exists.",
+    responses: { 200: success("Reset email sent if the account exists") },
+  },
+  "POST /reset-password": {
+    tags: ["Password"],
+    summary: "Set a new password with a reset token",
+    description: "Signs out every session.",
+    responses: {
+      200: success("Password reset"),
+      400: jsonResponse("Validation failed, token invalid/expired, or password breached or recently used", {
+        oneOf: [ref("ValidationError"), ref("PasswordError"), ref("Error")],
+      }),
+    },
+  },
+  "GET /verify-email": {
+    tags: ["Account"],
+    summary: "Verify an email address (link target)",
+    responses: {
+      200: success("Email verified", objectOf({
+        user: objectOf({ id: { type: "string" }, email: { type: "string" }, isVerified: { const: true } }),
+      })),
+      400: jsonResponse("Validation failed or token invalid/expired", ref("ValidationError")),
+    },
+  },
+  "POST /verify-email": {
+    tags: ["Account"],
+    summary: "Verify an email address",
+    responses: {
+      200: success("Email verified", objectOf({
+        user: objectOf({ id: { type: "string" }, email: { type: "string" }, isVerified: { const: true } }),
+      })),
+      400: jsonResponse("Validation failed or token invalid/expired", ref("ValidationError")),
+    },
+  },
+  "POST /resend-verification": {
+    tags: ["Account"],
+    summary: "Resend the verification email",
+    description: "Always succeeds so the response doesn't reveal whether the account exists.",
+    responses: { 200: success("Verification email sent if an unverified account exists") },
+  },
+  "GET /unlock-account": {
+    tags: ["Account"],
+    summary: "Unlock a locked account (link target)",
+    responses: {
+      200: success("Account unlocked"),
+      400: jsonResponse("Validation failed or token invalid/expired", ref("ValidationError")),
+    },
+  },
+  "POST /unlock-account": {
+    tags: ["Account"],
+    summary: "Unlock a locked account",
+    responses: {
+      200: success("Account unlocked"),
+      400: jsonResponse("Validation failed or token invalid/expired", ref("ValidationError")),
+    },
+  },
+  "POST /logout-all": {
+    tags: ["Sessions"],
+    summary: "Sign out of every session",
+    description: "Also invalidates every access token issued so far.",
+    responses: { 200: success("Signed out everywhere") },
+  },
+  "GET /sessions": {
+    tags: ["Sessions"],
+    summary: "List active sessions",
+    responses: {
+      200: success("Active sessions", objectOf({ sessions: { type: "array", items: ref("Session") } })),
+    },
+  },
+  "DELETE /sessions/{id}": {
+    tags: ["Sessions"],
+    summary: "Revoke one session",
+    responses: {
+      200: success("Session revoked"),
+      404: jsonResponse("Session not found", ref("Error")),
+    },
+  },
+  "DELETE /sessions": {
+    tags: ["Sessions"],
+    summary: "Revoke all sessions, optionally keeping the current one",
+    description: "With `except=current` a fresh access token is returned, since older ones stop working.",
+    responses: {
+      200: success("Sessions revoked", ref("AccessToken")),
+    },
+  },
+  "POST /change-password": {
+    tags: ["Password"],
+    summary: "Change the password",
+    description: "Previously issued access tokens stop working; use the returned one.",
+    responses: {
+      200: success("Password changed", ref("AccessToken")),
+      400: jsonResponse("Validation failed, password unchanged, or password breached or recently used", {
+        oneOf: [ref("ValidationError"), ref("PasswordError"), ref("Error")],
+      }),
+    },
+  },
+  "GET /profile": {
+    tags: ["Profile"],
+    summary: "Get the signed-in user's profile",
+    responses: { 200: success("Profile", objectOf({ user: ref("User") })) },
+  },
+  "PATCH /profile": {
+    tags: ["Profile"],
+    summary: "Update the signed-in user's profile",
+    description: "Only the fields below can be changed; email, roles and password have dedicated flows.",
+    responses: {
+      200: success("Profile updated", objectOf({ user: ref("User") })),
+      400: jsonResponse("Validation failed or nothing to update", ref("ValidationError")),
+    },
+  },
+  "GET /mfa": {
+    tags: ["MFA"],
+    summary: "Get MFA status",
+    responses: {
+      200: success("MFA status", objectOf(
+        {
+          enabled: { type: "boolean" },
+          enabledAt: { type: ["string", "null"], format: "date-time" },
+          recoveryCodesRemaining: { type: "integer" },
+        },
+        ["enabled", "recoveryCodesRemaining"]
+      )),
+    },
+  },
+  "POST /mfa/setup": {
+    tags: ["MFA"],
+    summary: "Start TOTP enrollment",
+    responses: {
+      200: success("TOTP secret to add to an authenticator app", objectOf({
+        secret: { type: "string" },
+        otpauthUri: { type: "string" },
+        qrCode: { type: "string", description: "PNG data URL" },
+      })),
+      400: jsonResponse("MFA already enabled", ref("Error")),
+    },
+  },
+  "POST /mfa/confirm": {
+    tags: ["MFA"],
+    summary: "Confirm enrollment with a code and enable MFA",
+    responses: {
+      200: success("MFA enabled", ref("RecoveryCodes")),
+      400: jsonResponse("Validation failed, no pending setup, or invalid code", ref("ValidationError")),
+    },
+  },
+  "POST /mfa/disable": {
+    tags: ["MFA"],
+    summary: "Disable MFA",
+    description: "Requires the password and either `code` or `recoveryCode`.",
+    body: mfaCodeFields,
+    responses: {
+      200: success("MFA disabled"),
+      400: jsonResponse("Validation failed or invalid password/code", ref("ValidationError")),
+    },
+  },
+  "POST /mfa/recovery-codes": {
+    tags: ["MFA"],
+    summary: "Replace the recovery codes",
+    responses: {
+      200: success("New recovery codes", ref("RecoveryCodes")),
+      400: jsonResponse("Validation failed, MFA not enabled, or invalid code", ref("ValidationError")),
+    },
+  },
+  "GET /api-keys": {
+    tags: ["API keys"],
+    summary: "List the signed-in user's API keys",
+    description: "Includes revoked and expired keys. Raw keys are never returned after creation.",
+    responses: {
+      200: success("API keys", objectOf({ apiKeys: { type: "array", items: ref("ApiKey") } })),
+    },
+  },
+  "POST /api-keys": {
+    tags: ["API keys"],
+    summary: "Create an API key",
+    description: "`expiresAt` defaults to API_KEY_DEFAULT_LIFETIME from now. The raw key is returned only in this response.",
+    responses: {
+      201: success("API key created", objectOf({
+        apiKey: ref("ApiKey"),
+        key: { type: "string", description: "The raw key, shown once" },
+      })),
+      400: jsonResponse("Validation failed, invalid expiry, or admin scopes on a non-admin account", ref("ValidationError")),
+      409: jsonResponse("Active key limit reached", ref("Error")),
+    },
+  },
+  "DELETE /api-keys/{id}": {
+    tags: ["API keys"],
+    summary: "Revoke an API key",
+    responses: {
+      200: success("API key revoked", objectOf({ apiKey: ref("ApiKey") })),
+      404: jsonResponse("API key not found", ref("Error")),
+    },
+  },
+  "GET /public-profile/{id}": {
+    tags: ["Profile"],
+    summary: "Example endpoint with optional authentication",
+    responses: {
+      200: jsonResponse("Whether the caller was authenticated", objectOf({
+        success: { const: true },
+        message: { type: "string" },
+        authenticated: { type: "boolean" },
+      })),
+    },
+  },
+};
+
+// ---- Assembly ----
+
+// "/sessions/:id" -> "/sessions/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const listRoutes = (router) =>
+  router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods).map((method) => {
+        const handles = layer.route.stack.map((item) => item.handle);
+        return {
+          method,
+          path: toOpenApiPath(layer.route.path),
+          chains: handles.filter(isValidationChain),
+          auth: handles.includes(authenticateToken)
+            ? "required"
+            : handles.includes(optionalAuth) ? "optional" : "none",
+          // express-rate-limit middleware exposes resetKey
+          rateLimited: handles.some((handle) => typeof handle.resetKey === "function"),
+          // requireScope middleware exposes the scopes it checks
+          scopes: handles.find((handle) => Array.isArray(handle.scopes))?.scopes,
+        };
+      })
+    );
+
+const buildOperation = (route, docs) => {
+  const hasBody = !["get", "delete"].includes(route.method);
+  const responses = { ...docs.responses };
+
+  // check() chains cover every location, so keep only real path segments
+  const parameters = [
+    ...parametersFromChains(route.chains, "path")
+      .filter((parameter) => route.path.includes(`{${parameter.name}}`)),
+    ...(hasBody ? [] : parametersFromChains(route.chains, "query")),
+  ];
+
+  let requestBody;
+  if (hasBody && (route.chains.length || docs.body)) {
+    const schema = bodySchemaFromChains(route.chains.filter((chain) =>
+      chain.builder.build().locations.includes("body")
+    ));
+    Object.assign(schema.properties, docs.body);
+    requestBody = { required: true, content: { "application/json": { schema } } };
+  }
+
+  if (route.chains.length && !responses[400]) responses[400] = responseRef("ValidationFailed");
+  if (route.auth === "required") {
+    responses[401] = responses[401] || responseRef("Unauthorized");
+    responses[403] = responses[403] || responseRef("Forbidden");
+  }
+  if (route.rateLimited && !responses[429]) responses[429] = responseRef("TooManyRequests");
+  responses[500] = responseRef("ServerError");
+
+  // Without requireScope, API keys are refused
+  const security = docs.security || {
+    required: route.scopes
+      ? [{ bearerAuth: [] }, { apiKeyAuth: route.scopes }]
+      : [{ bearerAuth: [] }],
+    optional: [{}, { bearerAuth: [] }],
+  }[route.auth];
+
+  return {
+    tags: docs.tags,
+    summary: docs.summary,
+    ...(docs.description && { description: docs.description }),
+    ...(parameters.length && { parameters }),
+    ...(requestBody && { requestBody }),
+    ...(security && { security }),
+    responses,
+  };
+};
+
+const buildOpenApiDocument = () => {
+  const routes = listRoutes(authRoutes);
+  const profileUpdate = routes.find((route) => route.method === "patch" && route.path === "/profile");
+
+  const paths = {};
+  for (const route of routes) {
+    const key = `${route.method.toUpperCase()} ${route.path}`;
+    const docs = OPERATIONS[key];
+    if (!docs) {
+      logger.warn("Route missing from OpenAPI operations", { route: key });
+    }
+
+    const path = `${AUTH_BASE_PATH}${route.path}`;
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route, docs || { tags: ["Other"], summary: key, responses: {} });
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "GateKeeper Authentication API",
+      version: "1.0.0",
+      description:
+        "Every JSON response uses the `{ success, message, data }` envelope. " +
+        "Send `X-Request-Id` to correlate requests with logs and audit events.",
+    },
+    servers: [{ url: config.APP_URL || "/" }],
+    tags: [
+      { name: "Account", description: "Registration, email verification and unlocking" },
+      { name: "Sign-in", description: "Password and MFA login" },
+      { name: "Sessions", description: "Refresh tokens, logout and session management" },
+      { name: "Password", description: "Password reset and change" },
+      { name: "Profile", description: "The signed-in user's profile" },
+      { name: "MFA", description: "TOTP multi-factor authentication" },
+      { name: "API keys", description: "Personal API keys for scripts and CI" },
+    ],
+    paths,
+    components: buildComponents(
+      bodySchemaFromChains(profileUpdate?.chains || []).properties.profile || { type: "object" }
+    ),
+  };
+};
+
+// Routes don't change at runtime, so the document is built once
+let document;
+let yamlDocument;
+
+export const getOpenApiDocument = () => {
+  document = document || buildOpenApiDocument();
+  return document;
+};
+
+export const getOpenApiYaml = () => {
+  yamlDocument = yamlDocument || YAML.stringify(getOpenApiDocument(), { aliasDuplicateObjects: false });
+  return yamlDocument;
+};
@@ -0,0 +1,261 @@
+import Organization from "../model/organization.model.js";
+import Membership, { ORG_ROLES } from "../model/membership.model.js";
+import Invitation from "../model/invitation.model.js";
+import User from "../model/user.model.js";
+import mailService from "./mail.service.js";
+import { AuthError } from "./auth.service.js";
+import { recordAuditEvent } from "./audit.service.js";
+import { logger } from "./logger.service.js";
+
+const rank = (role) => ORG_ROLES.indexOf(role);
+
+export const formatOrganization = (organization, membership) => ({
+  id: organization._id,
+  name: organization.name,
+  role: membership?.role || null,
+  createdAt: organization.createdAt,
+});
+
+export const formatMember = (membership) => ({
+  userId: membership.user._id,
+  fullName: membership.user.fullName,
+  email: membership.user.email,
+  role: membership.role,
+  joinedAt: membership.createdAt,
+});
+
+export const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.status,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt,
+});
+
+// Members can only manage members ranked below them, and never hand out a
+// role above their own
+const assertCanManage = (actor, target, newRole) => {
+  if (rank(actor.role) <= rank(target.role)) {
+    throw new AuthError(403, `Only a higher-ranked member can manage an organization ${target.role}`);
+  }
+  if (newRole && rank(newRole) > rank(actor.role)) {
+    throw new AuthError(403, `You can't grant the ${newRole} role`);
+  }
+};
+
+const orgAudit = (req, type, organization, details = {}, target = null) =>
+  recordAuditEvent(req, {
+    type,
+    target,
+    details: { organization: String(organization._id), ...details },
+  });
+
+// Creates an organization owned by the signed-in user
+export const createOrganization = async (req, { name }) => {
+  const organization = await Organization.create({ name, createdBy: req.user.id });
+  const membership = await Membership.create({
+    organization: organization._id,
+    user: req.user.id,
+    role: "owner",
+  });
+
+  await orgAudit(req, "org_created", organization, { name });
+  return { organization, membership };
+};
+
+// Emails an invitation, replacing any pending one for the same address
+export const inviteMember = async (req, actor, { email, role }) => {
+  const organization = actor.organization;
+  if (rank(role) > rank(actor.role)) {
+    throw new AuthError(403, `You can't grant the ${role} role`);
+  }
+
+  const invitee = await User.findByEmail(email);
+  if (invitee && (await Membership.exists({ organization: organization._id, user: invitee._id }))) {
+    throw new AuthError(409, "This user is already a member");
+  }
+
+  await Invitation.updateMany(
+    { organization: organization._id, email, status: "pending" },
+    { $set: { status: "revoked", respondedAt: new Date() } }
+  );
+
+  const invitation = new Invitation({
+    organization: organization._id,
+    email,
+    role,
+    invitedBy: req.user.id,
+  });
+  const token = invitation.generateToken();
+  await invitation.save();
+
+  try {
+    await mailService.sendOrgInvitation(email, {
+      organization,
+      inviter: req.user,
+      role,
+      token,
+    });
+  } catch (error) {
+    // The invitation stays pending; sending again issues a new link
+    logger.error("Failed to send organization invitation", { error });
+  }
+
+  await orgAudit(req, "org_member_invited", organization, {
+    invitationId: String(invitation._id),
+    email,
+    role,
+  }, invitee?._id);
+
+  return invitation;
+};
+
+export const revokeInvitation = async (req, organization, invitationId) => {
+  const invitation = await Invitation.findOne({
+    _id: invitationId,
+    organization: organization._id,
+    status: "pending",
+  });
+  if (!invitation) {
+    throw new AuthError(404, "Invitation not found");
+  }
+
+  invitation.status = "revoked";
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  await orgAudit(req, "org_invitation_revoked", organization, {
+    invitationId: String(invitation._id),
+    email: invitation.email,
+  });
+};
+
+const findInvitation = async (token) => {
+  const invitation = await Invitation.findPendingByToken(token).populate("organization");
+  if (!invitation?.organization) {
+    throw new AuthError(400, "Invalid or expired invitation");
+  }
+  return invitation;
+};
+
+// Joins the organization as the signed-in user, whose email must match
+export const acceptInvitation = async (req, token) => {
+  const invitation = await findInvitation(token);
+  const organization = invitation.organization;
+
+  const user = await User.findById(req.user.id);
+  if (!user || user.email !== invitation.email) {
+    throw new AuthError(403, "This invitation was sent to a different email address");
+  }
+
+  if (await Membership.exists({ organization: organization._id, user: user._id })) {
+    throw new AuthError(409, "You are already a member of this organization");
+  }
+
+  const membership = await Membership.create({
+    organization: organization._id,
+    user: user._id,
+    role: invitation.role,
+    invitedBy: invitation.invitedBy,
+  });
+
+  invitation.status = "accepted";
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  await orgAudit(req, "org_invitation_accepted", organization, {
+    invitationId: String(invitation._id),
+    role: invitation.role,
+  }, user._id);
+
+  return { organization, membership };
+};
+
+// The token alone is enough to decline; no account is needed
+export const declineInvitation = async (req, token) => {
+  const invitation = await findInvitation(token);
+
+  invitation.status = "declined";
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  await orgAudit(req, "org_invitation_declined", invitation.organization, {
+    invitationId: String(invitation._id),
+    email: invitation.email,
+  });
+};
+
+const findMember = async (organization, userId) => {
+  const membership = await Membership.findOne({ organization: organization._id, user: userId })
+    .populate("user", "fullName email");
+  if (!membership) {
+    throw new AuthError(404, "Member not found");
+  }
+  return membership;
+};
+
+export const changeMemberRole = async (req, actor, userId, role) => {
+  const organization = actor.organization;
+  const membership = await findMember(organization, userId);
+  if (role === "owner" || membership.role === "owner") {
+    throw new AuthError(400, "Use ownership transfer to change the owner");
+  }
+  assertCanManage(actor, membership, role);
+
+  const previousRole = membership.role;
+  membership.role = role;
+  await membership.save();
+
+  await orgAudit(req, "org_member_role_changed", organization, {
+    from: previousRole,
+    to: role,
+  }, membership.user._id);
+
+  return membership;
+};
+
+// Removes a member, or lets a member leave, and ends the sessions that had
+// this organization active. Owners must transfer ownership first
+export const removeMember = async (req, actor, userId) => {
+  const organization = actor.organization;
+  const membership = await findMember(organization, userId);
+  if (membership.role === "owner") {
+    throw new AuthError(400, "Transfer ownership before removing the owner");
+  }
+  if (!membership._id.equals(actor._id)) {
+    assertCanManage(actor, membership);
+  }
+
+  await membership.deleteOne();
+  await User.updateOne(
+    { _id: membership.user._id },
+    { $pull: { refreshTokens: { organization: organization._id } } }
+  );
+
+  await orgAudit(req, "org_member_removed", organization, {
+    role: membership.role,
+    left: membership._id.equals(actor._id),
+  }, membership.user._id);
+};
+
+// Makes another member the owner; the previous owner becomes an admin
+export const transferOwnership = async (req, actor, userId) => {
+  const organization = actor.organization;
+  const membership = await findMember(organization, userId);
+  if (membership._id.equals(actor._id)) {
+    throw new AuthError(400, "You already own this organization");
+  }
+
+  membership.role = "owner";
+  await membership.save();
+  actor.role = "admin";
+  await actor.save();
+
+  await orgAudit(req, "org_ownership_transferred", organization, {
+    from: String(actor.user),
+  }, membership.user._id);
+
+  return membership;
+};
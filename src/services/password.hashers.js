@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import argon2 from "argon2";
+import bcrypt from "bcryptjs";
+
+// Password hashing algorithms. Every hash describes itself (PHC string format,
+// or modular crypt for bcrypt), so the algorithm and parameters that made it
+// can be read back from it. The hashing workers run hash() and verify(); the
+// main thread only reads hashes with identifyHasher() and params()
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const SCRYPT_KEY_BYTES = 32;
+
+// PHC strings use base64 without padding
+const toBase64 = (buffer) => buffer.toString("base64").replace(/=+$/, "");
+
+// "m=19456,t=2,p=1" -> { m: 19456, t: 2, p: 1 }
+const parseParams = (segment = "") =>
+  Object.fromEntries(
+    segment.split(",").map((pair) => {
+      const [key, value] = pair.split("=");
+      return [key, Number(value)];
+    })
+  );
+
+// scrypt needs 128 * N * r bytes; Node refuses more than 32 MiB unless told
+const deriveScryptKey = (password, salt, { cost, blockSize, parallelization }, length) =>
+  scrypt(password, salt, length, {
+    N: 2 ** cost,
+    r: blockSize,
+    p: parallelization,
+    maxmem: 256 * 2 ** cost * blockSize,
+  });
+
+export const HASHERS = {
+  // $argon2id$v=19$m=19456,t=2,p=1$<salt>$<hash>
+  argon2id: {
+    matches: (hash) => hash.startsWith("$argon2id$"),
+    params: (hash) => {
+      const { m, t, p } = parseParams(hash.split("$")[3]);
+      return { memoryCost: m, timeCost: t, parallelism: p };
+    },
+    hash: (password, { memoryCost, timeCost, parallelism }) =>
+      argon2.hash(password, { type: argon2.argon2id, memoryCost, timeCost, parallelism }),
+    verify: (password, hash) => argon2.verify(hash, password),
+  },
+
+  // $scrypt$ln=17,r=8,p=1$<salt>$<hash>, as written by passlib; ln is log2(N)
+  scrypt: {
+    matches: (hash) => hash.startsWith("$scrypt$"),
+    params: (hash) => {
+      const { ln, r, p } = parseParams(hash.split("$")[2]);
+      return { cost: ln, blockSize: r, parallelization: p };
+    },
+    hash: async (password, params) => {
+      const salt = crypto.randomBytes(SALT_BYTES);
+      const key = await deriveScryptKey(password, salt, params, SCRYPT_KEY_BYTES);
+      const { cost, blockSize, parallelization } = params;
+      return `$scrypt$ln=${cost},r=${blockSize},p=${parallelization}$${toBase64(salt)}$${toBase64(key)}`;
+    },
+    verify: async (password, hash) => {
+      const [, , , salt, key] = hash.split("$");
+      const expected = Buffer.from(key, "base64");
+      const actual = await deriveScryptKey(
+        password,
+        Buffer.from(salt, "base64"),
+        HASHERS.scrypt.params(hash),
+        expected.length
+      );
+      return crypto.timingSafeEqual(expected, actual);
+    },
+  },
+
+  // $2b$12$<salt><hash>; $2a$ (bcryptjs before 3.0) and $2y$ verify the same way
+  bcrypt: {
+    matches: (hash) => /^\$2[aby]\$\d{2}\$/.test(hash),
+    params: (hash) => ({ rounds: parseInt(hash.split("$")[2], 10) }),
+    hash: (password, { rounds }) => bcrypt.hash(password, rounds),
+    verify: (password, hash) => bcrypt.compare(password, hash),
+  },
+};
+
+export const HASH_ALGORITHMS = Object.keys(HASHERS);
+
+// The algorithm that made a hash, or null if it isn't one we know
+export const identifyHasher = (hash) =>
+  (typeof hash === "string" && HASH_ALGORITHMS.find((name) => HASHERS[name].matches(hash))) || null;
@@ -0,0 +1,21 @@
+import { parentPort } from "worker_threads";
+import { HASHERS, identifyHasher } from "./password.hashers.js";
+
+// Hashing thread started by passwordHasher.service. Handles one job at a time:
+//   { op: "hash", algorithm, params, password } -> { result: hash }
+//   { op: "verify", password, hash }            -> { result: boolean }
+// Failures reply { error: message }
+parentPort.on("message", async ({ op, algorithm, params, password, hash }) => {
+  try {
+    let result;
+    if (op === "hash") {
+      result = await HASHERS[algorithm].hash(password, params);
+    } else {
+      const name = identifyHasher(hash);
+      result = name ? await HASHERS[name].verify(password, hash) : false;
+    }
+    parentPort.postMessage({ result });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,121 @@
+import { Worker } from "worker_threads";
+import { config } from "../config/index.js";
+import { logger } from "./logger.service.js";
+import { HASHERS, identifyHasher } from "./password.hashers.js";
+
+const WORKER_URL = new URL("./password.worker.js", import.meta.url);
+
+// Parameters new hashes are made with, per algorithm
+const currentParams = () => ({
+  argon2id: {
+    memoryCost: config.ARGON2_MEMORY_COST,
+    timeCost: config.ARGON2_TIME_COST,
+    parallelism: config.ARGON2_PARALLELISM,
+  },
+  scrypt: {
+    cost: config.SCRYPT_COST,
+    blockSize: config.SCRYPT_BLOCK_SIZE,
+    parallelization: config.SCRYPT_PARALLELIZATION,
+  },
+  bcrypt: { rounds: config.BCRYPT_ROUNDS },
+});
+
+// Runs hashing jobs on up to `size` worker threads, started on demand. Jobs
+// queue while every worker is busy, so a burst of logins can't stall the event
+// loop or take more than `size` cores
+class HashWorkerPool {
+  constructor(size) {
+    this.size = size;
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idle.pop() || (this.workers.size < this.size ? this.spawn() : null);
+      if (!worker) return;
+
+      worker.job = this.queue.shift();
+      // Keep the process alive until the job is done
+      worker.ref();
+      worker.postMessage(worker.job.task);
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(WORKER_URL);
+    this.workers.add(worker);
+
+    worker.on("message", ({ result, error }) => {
+      const job = worker.job;
+      worker.job = null;
+      worker.unref();
+      this.idle.push(worker);
+
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+      this.dispatch();
+    });
+
+    worker.on("error", (error) => {
+      logger.error("Password hashing worker failed", { error });
+    });
+
+    // A crashed worker fails its job and is replaced on the next dispatch
+    worker.on("exit", (code) => {
+      this.workers.delete(worker);
+      this.idle = this.idle.filter((idle) => idle !== worker);
+      if (worker.job) {
+        worker.job.reject(new Error(`Password hashing worker exited with code ${code}`));
+        worker.job = null;
+      }
+      this.dispatch();
+    });
+
+    return worker;
+  }
+
+  async stop() {
+    const workers = [...this.workers];
+    this.queue = [];
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+const pool = new HashWorkerPool(config.PASSWORD_HASH_WORKERS);
+
+// Hashes a password with PASSWORD_HASH_ALGORITHM and its current parameters
+export const hashPassword = (password) => {
+  const algorithm = config.PASSWORD_HASH_ALGORITHM;
+  return pool.run({ op: "hash", algorithm, params: currentParams()[algorithm], password });
+};
+
+// Checks a password against a hash made by any supported algorithm
+export const verifyPassword = async (password, hash) => {
+  if (!identifyHasher(hash)) {
+    logger.warn("Unrecognized password hash format");
+    return false;
+  }
+  return pool.run({ op: "verify", password, hash });
+};
+
+// Whether a hash was made with another algorithm or other parameters than new
+// hashes are, e.g. after BCRYPT_ROUNDS changes or bcrypt is replaced
+export const needsRehash = (hash) => {
+  const algorithm = identifyHasher(hash);
+  if (algorithm !== config.PASSWORD_HASH_ALGORITHM) return true;
+
+  const used = HASHERS[algorithm].params(hash);
+  const current = currentParams()[algorithm];
+  return Object.keys(current).some((name) => used[name] !== current[name]);
+};
+
+export const stopHashWorkers = () => pool.stop();
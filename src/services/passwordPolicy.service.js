@@ -0,0 +1,138 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { ZxcvbnFactory } from "@zxcvbn-ts/core";
+import { dictionary, adjacencyGraphs } from "@zxcvbn-ts/language-common";
+import User from "../model/user.model.js";
+import { config } from "../config/index.js";
+import { AuthError } from "./auth.service.js";
+import { logger } from "./logger.service.js";
+
+// Character classes PASSWORD_REQUIRED_CLASSES can ask for. Any character is
+// allowed; "symbol" is everything that isn't a letter or digit, spaces included
+const CHARACTER_CLASSES = {
+  lower: { pattern: /\p{Ll}/u, label: "a lowercase letter" },
+  upper: { pattern: /\p{Lu}/u, label: "an uppercase letter" },
+  digit: { pattern: /\p{Nd}/u, label: "a number" },
+  symbol: { pattern: /[^\p{L}\p{Nd}]/u, label: "a symbol or space" },
+};
+
+const zxcvbn = new ZxcvbnFactory({ dictionary, graphs: adjacencyGraphs });
+
+const listLabels = (labels) =>
+  labels.length > 1 ? `${labels.slice(0, -1).join(", ")} and ${labels.at(-1)}` : labels[0];
+
+// Words from the user's name and email make a password easier to guess
+const userWords = (userInputs) =>
+  userInputs
+    .filter(Boolean)
+    .flatMap((input) => String(input).toLowerCase().split(/[\s@.+_-]+/))
+    .filter((word) => word.length > 2);
+
+// The rules clients should show on password forms
+export const getPasswordPolicy = () => ({
+  minLength: config.PASSWORD_MIN_LENGTH,
+  maxLength: config.PASSWORD_MAX_LENGTH,
+  requiredClasses: config.PASSWORD_REQUIRED_CLASSES,
+  minStrength: config.PASSWORD_MIN_STRENGTH,
+  maxAgeDays: config.PASSWORD_MAX_AGE ? Math.round(config.PASSWORD_MAX_AGE / 86400000) : null,
+  historySize: config.PASSWORD_HISTORY_SIZE,
+  breachCheck: !!config.PASSWORD_BREACH_DIR,
+});
+
+// Length, character class and strength problems with a candidate password, as
+// messages; empty when it meets the policy. userInputs are the name and email
+export const checkPasswordPolicy = (password, userInputs = []) => {
+  const problems = [];
+
+  if (password.length < config.PASSWORD_MIN_LENGTH || password.length > config.PASSWORD_MAX_LENGTH) {
+    problems.push(
+      `Password must be between ${config.PASSWORD_MIN_LENGTH} and ${config.PASSWORD_MAX_LENGTH} characters long`
+    );
+  }
+
+  const missing = config.PASSWORD_REQUIRED_CLASSES.filter(
+    (name) => !CHARACTER_CLASSES[name].pattern.test(password)
+  );
+  if (missing.length > 0) {
+    problems.push(`Password must contain ${listLabels(missing.map((name) => CHARACTER_CLASSES[name].label))}`);
+  }
+
+  // Scoring is the slow part, so only score passwords that pass the rest
+  if (problems.length === 0 && config.PASSWORD_MIN_STRENGTH > 0) {
+    const { score } = zxcvbn.check(password, userWords(userInputs));
+    if (score < config.PASSWORD_MIN_STRENGTH) {
+      problems.push("Password is too easy to guess. Try a longer passphrase, and avoid common words, patterns and your name");
+    }
+  }
+
+  return problems;
+};
+
+// How often the password appears in the breach data under PASSWORD_BREACH_DIR;
+// 0 when it doesn't or the check is off. The files use the HIBP range format
+// ("SUFFIX:COUNT" lines in a file named after the 5-character SHA-1 prefix), so
+// like the HIBP range API only one small file is read per check
+export const breachCount = async (password) => {
+  if (!config.PASSWORD_BREACH_DIR) return 0;
+
+  const hash = crypto.createHash("sha1").update(password).digest("hex").toUpperCase();
+  const prefix = hash.slice(0, 5);
+  const suffix = hash.slice(5);
+
+  let range;
+  try {
+    range = await fs.readFile(path.join(config.PASSWORD_BREACH_DIR, `${prefix}.txt`), "utf8");
+  } catch (error) {
+    // A missing range only means no breached hash starts with this prefix;
+    // other read errors shouldn't stop people from setting passwords
+    if (error.code !== "ENOENT") {
+      logger.error("Breached password lookup failed", { error, prefix });
+    }
+    return 0;
+  }
+
+  for (const line of range.split("\n")) {
+    const [lineSuffix, count] = line.trim().split(":");
+    if (lineSuffix?.toUpperCase() === suffix) {
+      return parseInt(count, 10) || 1;
+    }
+  }
+  return 0;
+};
+
+// Whether the password matches the user's current one or one in their history
+export const isReusedPassword = async (user, password) => {
+  if (config.PASSWORD_HISTORY_SIZE === 0) return false;
+
+  const stored = await User.findById(user._id).select("+password +passwordHistory");
+  return !!stored && stored.isPreviousPassword(password, config.PASSWORD_HISTORY_SIZE);
+};
+
+// The checks request validators can't run: breach data and, for existing
+// accounts, password history. Throws an AuthError with a code
+export const assertPasswordAllowed = async (password, user = null) => {
+  const count = await breachCount(password);
+  if (count > 0 && count >= config.PASSWORD_BREACH_MIN_COUNT) {
+    throw new AuthError(
+      400,
+      "This password has appeared in a data breach. Please choose a different one",
+      "PASSWORD_BREACHED"
+    );
+  }
+
+  if (user && (await isReusedPassword(user, password))) {
+    throw new AuthError(
+      400,
+      `Password must not match any of your last ${config.PASSWORD_HISTORY_SIZE} passwords`,
+      "PASSWORD_REUSED"
+    );
+  }
+};
+
+// Passwords set before passwordChangedAt was recorded age from account creation
+export const isPasswordExpired = (user) => {
+  if (!config.PASSWORD_MAX_AGE) return false;
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return !!changedAt && Date.now() - changedAt.getTime() > config.PASSWORD_MAX_AGE;
+};
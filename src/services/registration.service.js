@@ -0,0 +1,111 @@
+import InviteCode from "../model/inviteCode.model.js";
+import { config } from "../config/index.js";
+import { DISPOSABLE_EMAIL_DOMAINS } from "../config/disposable-domains.js";
+import { AuthError } from "./auth.service.js";
+import { recordAuditEvent } from "./audit.service.js";
+
+const disposableDomains = new Set(DISPOSABLE_EMAIL_DOMAINS);
+
+// Whether domain or any parent domain is in the list: "eu.example.com" matches "example.com"
+const matchesDomain = (domain, domains) => {
+  const labels = domain.split(".");
+  return labels.some((_, i) => domains.has(labels.slice(i).join(".")));
+};
+
+const emailDomain = (email) => email.split("@").pop().toLowerCase();
+
+export const isDisposableEmail = (email) => matchesDomain(emailDomain(email), disposableDomains);
+
+// What clients need to render the sign-up form
+export const getRegistrationPolicy = () => ({
+  mode: config.REGISTRATION_MODE,
+  inviteCodeRequired: config.REGISTRATION_MODE === "invite",
+  allowedDomains: config.REGISTRATION_MODE === "domain" ? config.REGISTRATION_ALLOWED_DOMAINS : null,
+});
+
+// Applies REGISTRATION_MODE to a new email address. Throws an AuthError with a
+// code when registration is refused; returns { autoVerify }.
+// Invite codes are checked separately by redeemInviteCode
+export const checkRegistrationPolicy = (email, inviteCode) => {
+  const mode = config.REGISTRATION_MODE;
+
+  if (mode === "closed") {
+    throw new AuthError(403, "Registration is closed", "REGISTRATION_CLOSED");
+  }
+
+  if (config.REGISTRATION_BLOCK_DISPOSABLE && isDisposableEmail(email)) {
+    throw new AuthError(400, "Disposable email addresses can't be used to register", "DISPOSABLE_EMAIL");
+  }
+
+  if (mode === "domain" && !matchesDomain(emailDomain(email), new Set(config.REGISTRATION_ALLOWED_DOMAINS))) {
+    throw new AuthError(403, "Registration is limited to approved email domains", "EMAIL_DOMAIN_NOT_ALLOWED");
+  }
+
+  if (mode === "invite" && !inviteCode) {
+    throw new AuthError(403, "An invite code is required to register", "INVITE_CODE_REQUIRED");
+  }
+
+  return { autoVerify: mode === "domain" && config.REGISTRATION_DOMAIN_AUTO_VERIFY };
+};
+
+// Claims one use of an invite code (invite mode only); returns the code's document or null
+export const redeemInviteCode = async (code) => {
+  if (config.REGISTRATION_MODE !== "invite") return null;
+
+  const inviteCode = await InviteCode.redeem(code);
+  if (!inviteCode) {
+    throw new AuthError(403, "Invite code is invalid, expired or used up", "INVITE_CODE_INVALID");
+  }
+  return inviteCode;
+};
+
+// Gives back a use claimed by a registration that then failed
+export const releaseInviteCode = (inviteCode) =>
+  InviteCode.updateOne({ _id: inviteCode._id, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+
+export const recordInviteCodeUse = (inviteCode, user) =>
+  InviteCode.updateOne({ _id: inviteCode._id }, { $push: { redeemedBy: user._id } });
+
+export const formatInviteCode = (inviteCode) => ({
+  id: inviteCode._id,
+  prefix: inviteCode.prefix,
+  note: inviteCode.note || null,
+  maxUses: inviteCode.maxUses,
+  uses: inviteCode.uses,
+  expiresAt: inviteCode.expiresAt,
+  revokedAt: inviteCode.revokedAt || null,
+  isActive: inviteCode.isActive,
+  createdBy: inviteCode.createdBy,
+  createdAt: inviteCode.createdAt,
+});
+
+// Issues a code. Returns the document and the raw code, which is shown once
+export const createInviteCode = async (req, { maxUses = 1, expiresAt, note }) => {
+  const expiry = expiresAt ? new Date(expiresAt) : new Date(Date.now() + config.INVITE_CODE_DEFAULT_LIFETIME);
+  if (expiry <= new Date()) {
+    throw new AuthError(400, "expiresAt must be in the future");
+  }
+
+  const inviteCode = new InviteCode({ maxUses, expiresAt: expiry, note, createdBy: req.user.id });
+  const code = inviteCode.generateCode();
+  await inviteCode.save();
+
+  await recordAuditEvent(req, {
+    type: "invite_code_created",
+    details: { inviteCodeId: String(inviteCode._id), maxUses, expiresAt: expiry },
+  });
+
+  return { inviteCode, code };
+};
+
+export const revokeInviteCode = async (req, inviteCode) => {
+  if (!inviteCode.revokedAt) {
+    inviteCode.revokedAt = new Date();
+    await inviteCode.save();
+  }
+
+  await recordAuditEvent(req, {
+    type: "invite_code_revoked",
+    details: { inviteCodeId: String(inviteCode._id) },
+  });
+};
@@ -0,0 +1,231 @@
+import Role from "../model/role.model.js";
+import User from "../model/user.model.js";
+import { AuthError } from "./auth.service.js";
+import { recordAuditEvent } from "./audit.service.js";
+import { logger } from "./logger.service.js";
+
+// Permissions checked by requirePermission. Roles are defined in the database;
+// permissions are defined here because routes check them by name
+export const PERMISSIONS = {
+  "users:read": "List and view user accounts",
+  "users:write": "Deactivate, reactivate, unlock and sign out users, and send password resets",
+  "roles:read": "View roles and permissions",
+  "roles:write": "Create, change and delete roles, and assign them to users",
+  "api-keys:read": "List other users' API keys",
+  "api-keys:write": "Issue and revoke API keys for other users",
+  "oauth-clients:read": "List OAuth client applications",
+  "oauth-clients:write": "Register, rotate and deactivate OAuth clients",
+  "invite-codes:read": "List registration invite codes",
+  "invite-codes:write": "Issue and revoke registration invite codes",
+  "audit:read": "Query and export the audit log",
+  "system:read": "View service diagnostics",
+};
+
+// Grants every permission, including ones added later
+export const ALL_PERMISSIONS = "*";
+
+export const DEFAULT_ROLE = "user";
+
+// Seeded on first start so adminOnly and moderatorOrAdmin keep their meaning.
+// Existing definitions are never overwritten
+export const DEFAULT_ROLES = [
+  { name: "user", description: "Every account", permissions: [], inherits: [] },
+  { name: "moderator", description: "Read-only access to user accounts", permissions: ["users:read"], inherits: ["user"] },
+  { name: "admin", description: "Full administrative access", permissions: [ALL_PERMISSIONS], inherits: ["moderator"] },
+];
+
+// Roles whose definition can't be changed, so the API can't lock every admin out
+const LOCKED_ROLES = ["admin"];
+
+// How often each instance re-reads roles changed elsewhere
+const RELOAD_INTERVAL = 60 * 1000;
+
+const toMap = (roles) =>
+  new Map(roles.map(({ name, permissions, inherits }) => [name, { name, permissions, inherits }]));
+
+// Adds name and every role it inherits from to seen; tolerates cycles
+const expand = (roles, name, seen = new Set()) => {
+  if (seen.has(name) || !roles.has(name)) return seen;
+  seen.add(name);
+  for (const parent of roles.get(name).inherits) expand(roles, parent, seen);
+  return seen;
+};
+
+export const hasPermissions = (granted = [], required) =>
+  granted.includes(ALL_PERMISSIONS) || required.every((permission) => granted.includes(permission));
+
+// Role definitions cached in memory, so permission checks never hit the database
+class RoleStore {
+  constructor() {
+    // Defaults until initialize() loads the stored roles
+    this.roles = toMap(DEFAULT_ROLES);
+    this.timer = null;
+    this.lastReload = 0;
+  }
+
+  // Seeds missing default roles, loads every role and keeps them fresh
+  async initialize() {
+    for (const role of DEFAULT_ROLES) {
+      await Role.updateOne(
+        { name: role.name },
+        { $setOnInsert: { ...role, isSystem: true } },
+        { upsert: true }
+      );
+    }
+
+    await this.reload();
+
+    this.timer = setInterval(() => {
+      this.reload().catch((error) => logger.error("Role refresh error", { error }));
+    }, RELOAD_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async reload() {
+    this.roles = toMap(await Role.find().lean());
+    this.lastReload = Date.now();
+  }
+
+  has(name) {
+    return this.roles.has(name);
+  }
+
+  // Effective roles (including inherited ones) and permissions for a user's roles.
+  // Unknown role names are ignored
+  resolve(names = []) {
+    const roles = new Set();
+    for (const name of names) expand(this.roles, name, roles);
+
+    const permissions = new Set([...roles].flatMap((name) => this.roles.get(name).permissions));
+    return {
+      roles: [...roles],
+      permissions: permissions.has(ALL_PERMISSIONS) ? [ALL_PERMISSIONS] : [...permissions],
+    };
+  }
+
+  permissionsFor(names) {
+    return this.resolve(names).permissions;
+  }
+
+  // Whether giving role name these parents would make it inherit from itself
+  createsCycle(name, inherits) {
+    const roles = new Map(this.roles);
+    roles.set(name, { name, permissions: [], inherits });
+    return inherits.some((parent) => expand(roles, parent).has(name));
+  }
+}
+
+const roleStore = new RoleStore();
+export default roleStore;
+
+export const formatRole = (role) => ({
+  name: role.name,
+  description: role.description || null,
+  permissions: role.permissions,
+  inherits: role.inherits,
+  effectivePermissions: roleStore.permissionsFor([role.name]),
+  isSystem: role.isSystem,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt,
+});
+
+export const assertRolesExist = (names) => {
+  const unknown = names.filter((name) => !roleStore.has(name));
+  if (unknown.length) {
+    throw new AuthError(400, `Unknown role: ${unknown.join(", ")}`);
+  }
+};
+
+// Stops an account from handing out permissions it doesn't hold itself
+export const assertCanGrant = (actor, permissions) => {
+  const missing = permissions.filter((permission) => !hasPermissions(actor.permissions, [permission]));
+  if (missing.length) {
+    throw new AuthError(403, `You can't grant permissions you don't hold: ${missing.join(", ")}`);
+  }
+};
+
+const checkInherits = (name, inherits) => {
+  assertRolesExist(inherits);
+  if (roleStore.createsCycle(name, inherits)) {
+    throw new AuthError(400, "Roles can't inherit from themselves");
+  }
+};
+
+export const createRole = async (req, { name, description, permissions = [], inherits = [] }) => {
+  if (roleStore.has(name) || (await Role.exists({ name }))) {
+    throw new AuthError(409, "A role with this name already exists");
+  }
+
+  checkInherits(name, inherits);
+  assertCanGrant(req.user, [...permissions, ...roleStore.permissionsFor(inherits)]);
+
+  const role = await Role.create({ name, description, permissions, inherits });
+  await roleStore.reload();
+
+  await recordAuditEvent(req, {
+    type: "role_created",
+    details: { name, permissions, inherits },
+  });
+
+  return role;
+};
+
+export const updateRole = async (req, name, changes) => {
+  const role = await Role.findOne({ name });
+  if (!role) {
+    throw new AuthError(404, "Role not found");
+  }
+  if (LOCKED_ROLES.includes(name)) {
+    throw new AuthError(400, `The ${name} role can't be changed`);
+  }
+
+  const permissions = changes.permissions ?? role.permissions;
+  const inherits = changes.inherits ?? role.inherits;
+  checkInherits(name, inherits);
+  assertCanGrant(req.user, [...permissions, ...roleStore.permissionsFor(inherits)]);
+
+  const previous = { permissions: [...role.permissions], inherits: [...role.inherits] };
+  if (changes.description !== undefined) role.description = changes.description;
+  role.permissions = permissions;
+  role.inherits = inherits;
+  await role.save();
+  await roleStore.reload();
+
+  await recordAuditEvent(req, {
+    type: "role_updated",
+    details: { name, from: previous, to: { permissions, inherits } },
+  });
+
+  return role;
+};
+
+export const deleteRole = async (req, name) => {
+  const role = await Role.findOne({ name });
+  if (!role) {
+    throw new AuthError(404, "Role not found");
+  }
+  if (role.isSystem) {
+    throw new AuthError(400, "Default roles can't be deleted");
+  }
+
+  const [holders, children] = await Promise.all([
+    User.countDocuments({ roles: name }),
+    Role.countDocuments({ inherits: name }),
+  ]);
+  if (holders || children) {
+    throw new AuthError(409, `Role is still assigned to ${holders} user(s) and inherited by ${children} role(s)`);
+  }
+
+  await role.deleteOne();
+  await roleStore.reload();
+
+  await recordAuditEvent(req, {
+    type: "role_deleted",
+    details: { name },
+  });
+};
@@ -0,0 +1,40 @@
+import User from "../model/user.model.js";
+import { recordAuditEvent } from "./audit.service.js";
+import { logger } from "./logger.service.js";
+
+const MAX_SECURITY_EVENTS = 50;
+
+// Records a security-relevant event on the user's document, in the audit log
+// and in the logs
+export const recordSecurityEvent = async (userId, type, req, details = {}) => {
+  const event = {
+    type,
+    ip: req?.ip,
+    userAgent: req?.get?.("user-agent"),
+    details,
+    createdAt: new Date()
+  };
+
+  logger.warn("Security event", {
+    type,
+    targetUserId: userId,
+    ip: event.ip,
+    userAgent: event.userAgent,
+    ...details
+  });
+
+  try {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $push: {
+          securityEvents: { $each: [event], $slice: -MAX_SECURITY_EVENTS }
+        }
+      }
+    );
+  } catch (error) {
+    logger.error('Failed to record security event', { error });
+  }
+
+  await recordAuditEvent(req, { type, actor: req?.user?.id || null, target: userId, details });
+};
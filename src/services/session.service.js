@@ -0,0 +1,33 @@
+import UAParser from "ua-parser-js";
+
+// Describes the client starting or refreshing a session
+export const getSessionMetadata = (req) => {
+  const userAgent = req.get("user-agent") || "";
+  const { browser, os, device } = new UAParser(userAgent).getResult();
+
+  return {
+    userAgent,
+    ip: req.ip,
+    browser: [browser.name, browser.major].filter(Boolean).join(" ") || "Unknown",
+    os: [os.name, os.version].filter(Boolean).join(" ") || "Unknown",
+    device: device.type
+      ? [device.vendor, device.model].filter(Boolean).join(" ") || device.type
+      : "Desktop"
+  };
+};
+
+// Public view of a session entry
+export const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  browser: session.browser,
+  os: session.os,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  clientId: session.clientId,
+  organization: session.organization || null,
+  current: !!currentSessionId && String(session._id) === String(currentSessionId)
+});
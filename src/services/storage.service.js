@@ -0,0 +1,241 @@
+import Redis from "ioredis";
+import { config } from "../config/index.js";
+import { logger } from "./logger.service.js";
+
+// How often expired in-memory entries are swept
+const SWEEP_INTERVAL = 60 * 1000;
+// Minimum gap between repeated "Redis unavailable" warnings
+const WARN_INTERVAL = 60 * 1000;
+
+// Process-local store; counts and entries are not shared between instances
+class MemoryBackend {
+  constructor() {
+    this.entries = new Map();
+    this.timer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    this.timer.unref();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async get(key) {
+    return this.read(key)?.value ?? null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async increment(key, windowMs) {
+    const entry = this.read(key) || { value: 0, expiresAt: Date.now() + windowMs };
+    entry.value += 1;
+    this.entries.set(key, entry);
+    return { count: entry.value, resetTime: new Date(entry.expiresAt) };
+  }
+
+  async decrement(key) {
+    const entry = this.read(key);
+    if (entry && entry.value > 0) entry.value -= 1;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.entries.clear();
+  }
+}
+
+// Shared by every instance; keys are namespaced with REDIS_KEY_PREFIX
+class RedisBackend {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(key, value, "PX", Math.max(1, Math.ceil(ttlMs)));
+  }
+
+  async delete(key) {
+    await this.client.del(key);
+  }
+
+  // Fixed window: the first hit sets the expiry
+  async increment(key, windowMs) {
+    const [[, count], [, ttl]] = await this.client
+      .multi()
+      .incr(key)
+      .pttl(key)
+      .exec();
+
+    let remaining = ttl;
+    if (remaining < 0) {
+      await this.client.pexpire(key, windowMs);
+      remaining = windowMs;
+    }
+
+    return { count, resetTime: new Date(Date.now() + remaining) };
+  }
+
+  async decrement(key) {
+    const count = await this.client.decr(key);
+    if (count < 0) await this.client.set(key, 0, "KEEPTTL");
+  }
+}
+
+// Uses Redis when it is enabled and reachable, otherwise falls back to
+// process memory so a Redis outage never takes the API down
+class Storage {
+  constructor() {
+    this.memory = new MemoryBackend();
+    this.client = null;
+    this.redis = null;
+    this.lastWarning = 0;
+  }
+
+  isRedisEnabled() {
+    return !!this.client;
+  }
+
+  // True only while Redis is connected, i.e. while state is shared between instances
+  isShared() {
+    return this.client?.status === "ready";
+  }
+
+  async connect() {
+    if (!config.ENABLE_REDIS || this.client) return;
+
+    this.client = new Redis(config.REDIS_URL, {
+      password: config.REDIS_PASSWORD || undefined,
+      db: config.REDIS_DB,
+      keyPrefix: config.REDIS_KEY_PREFIX,
+      lazyConnect: true,
+      // Fail fast while disconnected instead of queueing; we fall back to memory
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1,
+      retryStrategy: (attempt) => Math.min(attempt * 500, 10000),
+    });
+    this.redis = new RedisBackend(this.client);
+
+    this.client.on("ready", () => logger.info("Redis connected"));
+    this.client.on("error", (error) => this.warn(error));
+
+    try {
+      await this.client.connect();
+    } catch (error) {
+      // ioredis keeps retrying in the background
+      this.warn(error);
+    }
+  }
+
+  async disconnect() {
+    if (!this.client) return;
+
+    try {
+      await this.client.quit();
+    } catch (error) {
+      this.client.disconnect();
+    }
+    this.client = null;
+    this.redis = null;
+  }
+
+  warn(error) {
+    if (Date.now() - this.lastWarning < WARN_INTERVAL) return;
+    this.lastWarning = Date.now();
+    logger.warn("Redis unavailable, using in-memory storage", { reason: error.message });
+  }
+
+  async run(operation, ...args) {
+    if (this.isShared()) {
+      try {
+        return await this.redis[operation](...args);
+      } catch (error) {
+        this.warn(error);
+      }
+    }
+    return this.memory[operation](...args);
+  }
+
+  get(key) {
+    return this.run("get", key);
+  }
+
+  set(key, value, ttlMs) {
+    return this.run("set", key, value, ttlMs);
+  }
+
+  delete(key) {
+    return this.run("delete", key);
+  }
+
+  // Counts hits in a window of windowMs, returning { count, resetTime }
+  increment(key, windowMs) {
+    return this.run("increment", key, windowMs);
+  }
+
+  decrement(key) {
+    return this.run("decrement", key);
+  }
+
+  // Redis only: returns null without touching memory when Redis is unavailable,
+  // for data that must not diverge between instances
+  async getShared(key) {
+    if (!this.isShared()) return null;
+    try {
+      return await this.redis.get(key);
+    } catch (error) {
+      this.warn(error);
+      return null;
+    }
+  }
+
+  async setShared(key, value, ttlMs) {
+    if (!this.isShared()) return false;
+    try {
+      await this.redis.set(key, value, ttlMs);
+      return true;
+    } catch (error) {
+      this.warn(error);
+      return false;
+    }
+  }
+
+  // Round trip to Redis for health checks; throws unless connected
+  async ping() {
+    if (!this.isShared()) {
+      throw new Error(`Redis is not connected (${this.client?.status || "disabled"})`);
+    }
+    await this.client.ping();
+  }
+
+  async deleteShared(key) {
+    if (!this.client) return;
+    try {
+      await this.redis.delete(key);
+    } catch (error) {
+      this.warn(error);
+    }
+  }
+}
+
+export default new Storage();
@@ -0,0 +1,30 @@
+import RevokedToken from "../model/revokedToken.model.js";
+import storage from "./storage.service.js";
+
+const denylistKey = (jti) => `denylist:${jti}`;
+
+// Revokes a single access token by its jti until its exp (seconds since epoch).
+// Redis answers lookups; MongoDB keeps the durable copy used when Redis is down
+export const revokeAccessToken = async (jti, exp) => {
+  if (!jti || !exp || exp * 1000 <= Date.now()) return;
+
+  await storage.setShared(denylistKey(jti), "1", exp * 1000 - Date.now());
+  await RevokedToken.updateOne(
+    { jti },
+    { $setOnInsert: { jti, expiresAt: new Date(exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+export const isAccessTokenRevoked = async (jti) => {
+  if (!jti) return false;
+
+  if (storage.isShared()) {
+    const revoked = await storage.getShared(denylistKey(jti));
+    if (revoked) return true;
+    // A miss is only trusted while Redis is still answering
+    if (storage.isShared()) return false;
+  }
+
+  return !!(await RevokedToken.exists({ jti }));
+};
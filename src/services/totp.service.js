@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { config } from "../config/index.js";
+
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 second steps) as used by
+// Google Authenticator, Authy, 1Password and friends
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in TOTP secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return code.toString().padStart(TOTP_DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD);
+
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const generateTotp = (secret, now = Date.now()) => hotp(secret, currentStep(now));
+
+// Returns the matched time step, or null. Steps at or before lastUsedStep are
+// rejected so a code can't be replayed within its validity window.
+export const verifyTotp = (secret, code, lastUsedStep = -1, now = Date.now()) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const step = currentStep(now);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = step + offset;
+    if (candidate <= lastUsedStep) continue;
+
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+export const buildOtpauthUri = (secret, accountName) => {
+  const issuer = config.MFA_ISSUER;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export const buildQrCode = (otpauthUri) => QRCode.toDataURL(otpauthUri);
+
+// Recovery codes: shown once, stored as SHA-256 digests
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+// "ABCDE12345", "abcde-12345" and " abcde 12345 " are the same code; digests
+// are of the issued "xxxxx-xxxxx" form
+export const normalizeRecoveryCode = (code) => {
+  const hex = String(code).toLowerCase().replace(/[^a-f0-9]/g, "");
+  return hex.length === 10 ? `${hex.slice(0, 5)}-${hex.slice(5)}` : hex;
+};
+
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(normalizeRecoveryCode(code))
+    .digest("hex");
+
+// TOTP secrets are encrypted at rest with AES-256-GCM
+const encryptionKey = () =>
+  crypto.createHash("sha256").update(config.MFA_ENCRYPTION_KEY).digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map((part) => part.toString("base64")).join(".");
+};
+
+export const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
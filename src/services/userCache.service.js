@@ -0,0 +1,26 @@
+import { config } from "../config/index.js";
+import storage from "./storage.service.js";
+
+// Fields the auth middleware needs on every request. "role" is the legacy
+// single role, read so unmigrated accounts keep it (see the user model)
+export const AUTH_USER_FIELDS = "email roles role fullName isVerified isActive tokenVersion";
+
+const userKey = (id) => `user:${id}`;
+
+// Cached only in Redis: a per-process copy could not be invalidated on other instances
+export const getCachedUser = async (id) => {
+  if (!config.USER_CACHE_TTL) return null;
+
+  const cached = await storage.getShared(userKey(id));
+  return cached ? JSON.parse(cached) : null;
+};
+
+export const cacheUser = async (user) => {
+  if (!config.USER_CACHE_TTL) return;
+
+  await storage.setShared(userKey(user._id), JSON.stringify(user), config.USER_CACHE_TTL);
+};
+
+export const invalidateCachedUser = async (id) => {
+  await storage.deleteShared(userKey(id));
+};
@@ -0,0 +1,79 @@
+import { jest } from "@jest/globals";
+import User from "../src/model/user.model.js";
+import AuditEvent from "../src/model/auditEvent.model.js";
+import { rotateSession } from "../src/services/auth.service.js";
+
+const req = { ip: "203.0.113.7", get: () => "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)" };
+
+describe("rotateSession", () => {
+  let user;
+  const spies = [];
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: "64b000000000000000000001",
+      fullName: "Jane Doe",
+      email: "jane@example.com",
+      isActive: true,
+      refreshTokens: []
+    });
+
+    spies.push(
+      jest.spyOn(User, "findById").mockResolvedValue(user),
+      jest.spyOn(User, "updateOne").mockResolvedValue({ modifiedCount: 1 }),
+      jest.spyOn(AuditEvent, "create").mockResolvedValue({}),
+      jest.spyOn(user, "save").mockResolvedValue(user)
+    );
+  });
+
+  afterEach(() => {
+    spies.splice(0).forEach((spy) => spy.mockRestore());
+  });
+
+  const signIn = async () => {
+    const token = user.generateRefreshToken();
+    await user.addRefreshToken(token);
+    return token;
+  };
+
+  test("swaps the refresh token within the same session and family", async () => {
+    const token = await signIn();
+    const [session] = user.refreshTokens;
+
+    const result = await rotateSession(token, req);
+
+    expect(result.refreshToken).not.toBe(token);
+    expect(user.findSession(token)).toBeNull();
+    expect(user.findSession(result.refreshToken)._id).toEqual(session._id);
+    expect(user.refreshTokens).toHaveLength(1);
+  });
+
+  test("revokes the family and access tokens when a rotated-out token is replayed", async () => {
+    const stolen = await signIn();
+    const other = await signIn();
+    await rotateSession(stolen, req);
+    const tokenVersion = user.tokenVersion || 0;
+
+    await expect(rotateSession(stolen, req)).rejects.toMatchObject({ statusCode: 401, code: "TOKEN_REUSE" });
+
+    // Only the other sign-in's session is left
+    expect(user.refreshTokens).toHaveLength(1);
+    expect(user.findSession(other)).not.toBeNull();
+    expect(user.tokenVersion).toBe(tokenVersion + 1);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id },
+      { $push: { securityEvents: expect.objectContaining({ $each: [expect.objectContaining({ type: "refresh_token_reuse" })] }) } }
+    );
+  });
+
+  test("rejects an unknown token from a revoked family without flagging reuse", async () => {
+    const token = await signIn();
+    await user.revokeTokenFamily(user.refreshTokens[0].family);
+
+    const error = await rotateSession(token, req).catch((error) => error);
+
+    expect(error).toMatchObject({ statusCode: 401 });
+    expect(error.code).toBeUndefined();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
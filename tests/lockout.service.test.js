@@ -0,0 +1,113 @@
+import { jest } from "@jest/globals";
+import User from "../src/model/user.model.js";
+import AuditEvent from "../src/model/auditEvent.model.js";
+import mailService from "../src/services/mail.service.js";
+import { config } from "../src/config/index.js";
+import {
+  checkAccountAllowed,
+  checkIpAllowed,
+  getBackoffDelay,
+  getLockDuration,
+  recordLoginFailure
+} from "../src/services/lockout.service.js";
+
+const MINUTE = 60 * 1000;
+const saved = { ...config };
+
+beforeEach(() => {
+  Object.assign(config, {
+    LOCKOUT_MAX_ATTEMPTS: 5,
+    LOCKOUT_DURATION: 15 * MINUTE,
+    LOCKOUT_MAX_DURATION: 60 * MINUTE,
+    LOCKOUT_BACKOFF_BASE: 1000,
+    LOCKOUT_IP_MAX_FAILURES: 3,
+    LOCKOUT_IP_WINDOW: 15 * MINUTE
+  });
+});
+
+afterEach(() => {
+  Object.assign(config, saved);
+});
+
+const userWith = (fields) =>
+  User.hydrate({ _id: "64b000000000000000000001", email: "jane@example.com", ...fields });
+
+describe("backoff", () => {
+  test("doubles after each failure, up to the lock duration", () => {
+    expect([0, 1, 2, 3, 4].map(getBackoffDelay)).toEqual([0, 1000, 2000, 4000, 8000]);
+    expect(getBackoffDelay(20)).toBe(15 * MINUTE);
+  });
+
+  test("makes the account wait out the delay after its last failure", () => {
+    const user = userWith({ loginAttempts: 3, lastFailedLoginAt: new Date() });
+
+    expect(checkAccountAllowed(user)).toMatchObject({ statusCode: 429, code: "LOGIN_BACKOFF", retryAfter: 4 });
+
+    user.lastFailedLoginAt = new Date(Date.now() - 5000);
+    expect(checkAccountAllowed(user)).toBeNull();
+  });
+});
+
+describe("locks", () => {
+  test("double with each consecutive lockout, up to LOCKOUT_MAX_DURATION", () => {
+    expect([1, 2, 3, 4].map(getLockDuration)).toEqual([15, 30, 60, 60].map((minutes) => minutes * MINUTE));
+  });
+
+  test("reject attempts until they expire", () => {
+    const user = userWith({ lockUntil: new Date(Date.now() + 10 * MINUTE) });
+    expect(checkAccountAllowed(user)).toMatchObject({ statusCode: 423, code: "ACCOUNT_LOCKED", retryAfter: 600 });
+
+    user.lockUntil = new Date(Date.now() - 1000);
+    expect(checkAccountAllowed(user)).toBeNull();
+  });
+});
+
+describe("recordLoginFailure", () => {
+  const spies = [];
+  const mock = (object, method, value) => {
+    const spy = jest.spyOn(object, method).mockResolvedValue(value);
+    spies.push(spy);
+    return spy;
+  };
+
+  beforeEach(() => {
+    mock(User, "updateOne", { modifiedCount: 1 });
+    mock(AuditEvent, "create", {});
+    mock(mailService, "sendAccountUnlock", undefined);
+  });
+
+  afterEach(() => {
+    spies.splice(0).forEach((spy) => spy.mockRestore());
+  });
+
+  test("locks the account on the last allowed failure, escalating from the previous lock", async () => {
+    mock(User, "findOneAndUpdate", userWith({ loginAttempts: 5, lockCount: 1 }));
+
+    await recordLoginFailure(userWith({}), { ip: "198.51.100.1", get: () => "" });
+
+    const lock = User.updateOne.mock.calls.find(([, update]) => update.$set?.lockUntil)[1].$set;
+    expect(lock).toMatchObject({ lockCount: 2, loginAttempts: 0 });
+    expect(lock.lockUntil - Date.now()).toBeGreaterThan(29 * MINUTE);
+    expect(lock.lockUntil - Date.now()).toBeLessThanOrEqual(30 * MINUTE);
+    expect(mailService.sendAccountUnlock).toHaveBeenCalled();
+  });
+
+  test("only counts failures below the limit", async () => {
+    mock(User, "findOneAndUpdate", userWith({ loginAttempts: 2 }));
+
+    await recordLoginFailure(userWith({}), { ip: "198.51.100.2", get: () => "" });
+
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test("blocks an address after LOCKOUT_IP_MAX_FAILURES, unknown emails included", async () => {
+    const req = { ip: "198.51.100.3", get: () => "" };
+
+    for (let i = 0; i < config.LOCKOUT_IP_MAX_FAILURES; i++) {
+      await expect(checkIpAllowed(req.ip)).resolves.toBeNull();
+      await recordLoginFailure(null, req);
+    }
+
+    await expect(checkIpAllowed(req.ip)).resolves.toMatchObject({ statusCode: 429, code: "IP_BLOCKED" });
+  });
+});
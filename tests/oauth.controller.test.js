@@ -0,0 +1,45 @@
+import crypto from "crypto";
+import { authenticateClient, verifyPkce } from "../src/controller/oauth.controller.js";
+
+const challengeFor = (verifier) => crypto.createHash("sha256").update(verifier).digest("base64url");
+
+describe("verifyPkce", () => {
+  const verifier = crypto.randomBytes(32).toString("base64url");
+
+  test("accepts the verifier the S256 challenge was made from", () => {
+    expect(verifyPkce(verifier, challengeFor(verifier))).toBe(true);
+  });
+
+  test("rejects any other verifier", () => {
+    expect(verifyPkce(`${verifier}x`, challengeFor(verifier))).toBe(false);
+    expect(verifyPkce(crypto.randomBytes(32).toString("base64url"), challengeFor(verifier))).toBe(false);
+  });
+
+  test("rejects a plain challenge equal to the verifier", () => {
+    expect(verifyPkce(verifier, verifier)).toBe(false);
+  });
+
+  test("rejects challenges of the wrong length without throwing", () => {
+    expect(verifyPkce(verifier, challengeFor(verifier).slice(1))).toBe(false);
+  });
+});
+
+describe("authenticateClient", () => {
+  const basic = (credentials) => ({
+    body: {},
+    headers: { authorization: `Basic ${Buffer.from(credentials).toString("base64")}` }
+  });
+
+  test("treats malformed percent-encoding as a failed authentication", async () => {
+    await expect(authenticateClient(basic("client:%E0%A4%A"))).resolves.toBeNull();
+    await expect(authenticateClient(basic("%E0%A4%A:secret"))).resolves.toBeNull();
+  });
+
+  test("treats credentials without a separator as a failed authentication", async () => {
+    await expect(authenticateClient(basic("client-only"))).resolves.toBeNull();
+  });
+
+  test("needs a client ID", async () => {
+    await expect(authenticateClient({ body: {}, headers: {} })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+import { config } from "../src/config/index.js";
+import {
+  hashPassword,
+  needsRehash,
+  stopHashWorkers,
+  verifyPassword
+} from "../src/services/passwordHasher.service.js";
+
+const saved = { ...config };
+
+const argon2idHash = ({ m = config.ARGON2_MEMORY_COST, t = config.ARGON2_TIME_COST, p = config.ARGON2_PARALLELISM } = {}) =>
+  `$argon2id$v=19$m=${m},t=${t},p=${p}$c2FsdHNhbHRzYWx0$aGFzaGhhc2hoYXNoaGFzaA`;
+
+afterEach(() => {
+  Object.assign(config, saved);
+});
+
+afterAll(() => stopHashWorkers());
+
+describe("needsRehash", () => {
+  test("is false for a hash made with the current algorithm and parameters", () => {
+    config.PASSWORD_HASH_ALGORITHM = "argon2id";
+    expect(needsRehash(argon2idHash())).toBe(false);
+  });
+
+  test("is true for a hash made by another algorithm", () => {
+    config.PASSWORD_HASH_ALGORITHM = "argon2id";
+    expect(needsRehash(`$2a$${config.BCRYPT_ROUNDS}$abcdefghijklmnopqrstuuabcdefghijklmnopqrstuvwxyz01234`)).toBe(true);
+  });
+
+  test("is true once a parameter changes", () => {
+    config.PASSWORD_HASH_ALGORITHM = "argon2id";
+    expect(needsRehash(argon2idHash({ t: config.ARGON2_TIME_COST - 1 }))).toBe(true);
+
+    config.PASSWORD_HASH_ALGORITHM = "bcrypt";
+    config.BCRYPT_ROUNDS = 12;
+    expect(needsRehash("$2b$10$abcdefghijklmnopqrstuuabcdefghijklmnopqrstuvwxyz01234")).toBe(true);
+    expect(needsRehash("$2b$12$abcdefghijklmnopqrstuuabcdefghijklmnopqrstuvwxyz01234")).toBe(false);
+  });
+
+  test("is true for hashes in no known format", () => {
+    expect(needsRehash("plaintext")).toBe(true);
+  });
+});
+
+describe("hashPassword", () => {
+  test("makes hashes that verify and don't need a rehash", async () => {
+    config.PASSWORD_HASH_ALGORITHM = "bcrypt";
+    config.BCRYPT_ROUNDS = 4;
+
+    const hash = await hashPassword("correct horse battery staple");
+
+    expect(hash).toMatch(/^\$2[ab]\$04\$/);
+    expect(needsRehash(hash)).toBe(false);
+    await expect(verifyPassword("correct horse battery staple", hash)).resolves.toBe(true);
+    await expect(verifyPassword("wrong", hash)).resolves.toBe(false);
+  });
+});
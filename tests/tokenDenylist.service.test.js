@@ -0,0 +1,85 @@
+import { jest } from "@jest/globals";
+import RevokedToken from "../src/model/revokedToken.model.js";
+import storage from "../src/services/storage.service.js";
+import { isAccessTokenRevoked, revokeAccessToken } from "../src/services/tokenDenylist.service.js";
+
+const inSeconds = (seconds) => Math.floor(Date.now() / 1000) + seconds;
+
+// Stands in for a connected Redis
+const connectRedis = () => {
+  const keys = new Map();
+  storage.client = { status: "ready" };
+  storage.redis = {
+    get: jest.fn(async (key) => keys.get(key) ?? null),
+    set: jest.fn(async (key, value) => { keys.set(key, value); }),
+  };
+  return keys;
+};
+
+describe("access token denylist", () => {
+  let updateOne;
+  let exists;
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(RevokedToken, "updateOne").mockResolvedValue({});
+    exists = jest.spyOn(RevokedToken, "exists").mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    updateOne.mockRestore();
+    exists.mockRestore();
+    storage.client = null;
+    storage.redis = null;
+  });
+
+  test("keeps a revoked jti in Redis until the token expires, and in MongoDB", async () => {
+    connectRedis();
+    const exp = inSeconds(600);
+
+    await revokeAccessToken("jti-1", exp);
+
+    const [key, , ttl] = storage.redis.set.mock.calls[0];
+    expect(key).toBe("denylist:jti-1");
+    expect(ttl).toBeGreaterThan(595 * 1000);
+    expect(ttl).toBeLessThanOrEqual(600 * 1000);
+    expect(updateOne).toHaveBeenCalledWith(
+      { jti: "jti-1" },
+      { $setOnInsert: { jti: "jti-1", expiresAt: new Date(exp * 1000) } },
+      { upsert: true }
+    );
+  });
+
+  test("ignores tokens that have already expired or have no jti", async () => {
+    await revokeAccessToken("jti-2", inSeconds(-1));
+    await revokeAccessToken(undefined, inSeconds(600));
+
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test("answers from Redis while it is connected", async () => {
+    connectRedis();
+    await revokeAccessToken("jti-3", inSeconds(600));
+
+    await expect(isAccessTokenRevoked("jti-3")).resolves.toBe(true);
+    await expect(isAccessTokenRevoked("jti-4")).resolves.toBe(false);
+    expect(exists).not.toHaveBeenCalled();
+  });
+
+  test("falls back to MongoDB without Redis", async () => {
+    exists.mockResolvedValue({ _id: "1" });
+
+    await expect(isAccessTokenRevoked("jti-5")).resolves.toBe(true);
+    expect(exists).toHaveBeenCalledWith({ jti: "jti-5" });
+  });
+
+  test("doesn't trust a miss from Redis once it disconnects", async () => {
+    connectRedis();
+    storage.redis.get.mockImplementation(async () => {
+      storage.client.status = "reconnecting";
+      throw new Error("Connection is closed.");
+    });
+    exists.mockResolvedValue({ _id: "1" });
+
+    await expect(isAccessTokenRevoked("jti-6")).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,27 @@
+import crypto from "crypto";
+import { generateRecoveryCodes, hashRecoveryCode } from "../src/services/totp.service.js";
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+describe("hashRecoveryCode", () => {
+  const [code] = generateRecoveryCodes(1);
+
+  test("matches an issued code as shown", () => {
+    expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+    expect(hashRecoveryCode(code)).toBe(sha256(code));
+  });
+
+  test("matches the code typed without the hyphen", () => {
+    expect(hashRecoveryCode(code.replace("-", ""))).toBe(sha256(code));
+    expect(hashRecoveryCode("abcde12345")).toBe(sha256("abcde-12345"));
+  });
+
+  test("ignores case and whitespace", () => {
+    expect(hashRecoveryCode(` ${code.toUpperCase()} `)).toBe(sha256(code));
+    expect(hashRecoveryCode(code.replace("-", " "))).toBe(sha256(code));
+  });
+
+  test("does not match a different code", () => {
+    expect(hashRecoveryCode("abcde12346")).not.toBe(sha256("abcde-12345"));
+  });
+});
@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { jest } from "@jest/globals";
+import User from "../src/model/user.model.js";
+import { config } from "../src/config/index.js";
+import { stopHashWorkers, verifyPassword } from "../src/services/passwordHasher.service.js";
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+const legacyUser = (refreshTokens) =>
+  User.hydrate({
+    _id: "64b000000000000000000001",
+    fullName: "Jane Doe",
+    email: "jane@example.com",
+    password: "$2a$10$abcdefghijklmnopqrstuuabcdefghijklmnopqrstuvwxyz01234",
+    refreshTokens
+  });
+
+describe("legacy refresh tokens", () => {
+  test("are converted to digests on validation instead of failing", async () => {
+    const token = jwt.sign({ id: "1", family: "family-1" }, "secret");
+    const user = legacyUser([{ token, device: "Mac", expiresAt: inOneHour() }]);
+
+    await expect(user.validate()).resolves.toBeUndefined();
+
+    const [entry] = user.refreshTokens;
+    expect(entry.tokenHash).toBe(sha256(token));
+    expect(entry.family).toBe("family-1");
+    expect(entry.device).toBe("Mac");
+    expect(entry.toObject()).not.toHaveProperty("token");
+  });
+
+  test("drop expired or empty entries and keep hashed ones", async () => {
+    const user = legacyUser([
+      { token: "expired", expiresAt: new Date(Date.now() - 1000) },
+      { expiresAt: inOneHour() },
+      { tokenHash: "digest", expiresAt: inOneHour() }
+    ]);
+
+    await user.validate();
+
+    expect(user.refreshTokens.map((entry) => entry.tokenHash)).toEqual(["digest"]);
+  });
+});
+
+describe("upgradePasswordHash", () => {
+  const saved = { ...config };
+  const oldHash = "$2a$04$abcdefghijklmnopqrstuuabcdefghijklmnopqrstuvwxyz01234";
+  let updateOne;
+
+  beforeEach(() => {
+    config.PASSWORD_HASH_ALGORITHM = "bcrypt";
+    config.BCRYPT_ROUNDS = 4;
+    updateOne = jest.spyOn(User, "updateOne");
+  });
+
+  afterEach(() => {
+    updateOne.mockRestore();
+    Object.assign(config, saved);
+  });
+
+  afterAll(() => stopHashWorkers());
+
+  test("sets the password without a positional path, then rewrites its history entry", async () => {
+    updateOne.mockResolvedValue({ modifiedCount: 1 });
+    const user = legacyUser([]);
+    user.password = oldHash;
+
+    await expect(user.upgradePasswordHash("correct horse battery staple")).resolves.toBe(true);
+
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    const [[filter, update, options], [historyFilter, historyUpdate]] = updateOne.mock.calls;
+    expect(filter).toEqual({ _id: user._id, password: oldHash });
+    expect(Object.keys(update.$set)).toEqual(["password"]);
+    expect(options).toBeUndefined();
+    await expect(verifyPassword("correct horse battery staple", update.$set.password)).resolves.toBe(true);
+
+    // Matches nothing for accounts without a history instead of failing
+    expect(historyFilter).toEqual({ _id: user._id, "passwordHistory.hash": oldHash });
+    expect(historyUpdate).toEqual({ $set: { "passwordHistory.$.hash": update.$set.password } });
+  });
+
+  test("leaves the history alone when the password changed in the meantime", async () => {
+    updateOne.mockResolvedValue({ modifiedCount: 0 });
+    const user = legacyUser([]);
+    user.password = oldHash;
+
+    await expect(user.upgradePasswordHash("correct horse battery staple")).resolves.toBe(false);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+  });
+});
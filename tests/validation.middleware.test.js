@@ -0,0 +1,22 @@
+import { validationResult } from "express-validator";
+import { validateMfaLogin } from "../src/middleware/validation.middleware.js";
+
+const validate = async (body) => {
+  const req = { body };
+  for (const chain of validateMfaLogin) {
+    await chain.run(req);
+  }
+  return validationResult(req).isEmpty();
+};
+
+describe("validateMfaLogin", () => {
+  test("accepts a recovery code with or without the hyphen", async () => {
+    expect(await validate({ mfaToken: "token", recoveryCode: "abcde-12345" })).toBe(true);
+    expect(await validate({ mfaToken: "token", recoveryCode: "ABCDE12345" })).toBe(true);
+  });
+
+  test("rejects malformed recovery codes", async () => {
+    expect(await validate({ mfaToken: "token", recoveryCode: "abcde-1234" })).toBe(false);
+    expect(await validate({ mfaToken: "token", recoveryCode: "ghijk-12345" })).toBe(false);
+  });
+});